@@ -0,0 +1,196 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    CONTENT CACHE - Saved AI Lessons (IndexedDB)
+    ═══════════════════════════════════════════════════════════════
+
+    Generating a lesson costs an AI request - and free API keys only
+    get a limited number per day. So every lesson we generate is saved,
+    and asking for the SAME lesson again shows the saved copy instead.
+
+    WHAT COUNTS AS "THE SAME LESSON"?
+    The cache key combines:
+    - The module number
+    - The prompt (it already contains the student's answers - interest,
+      skill level, git experience...)
+    - The AI provider and model (a different model = a different lesson)
+    Change any of them and a new lesson is generated.
+
+    KEY CONCEPTS:
+
+    1. IndexedDB:
+       - A database built into the browser, like localStorage but for
+         bigger data (localStorage only holds ~5 MB of strings)
+       - Everything is asynchronous: you make a "request" and it calls
+         onsuccess / onerror later. We wrap that in Promises so we can
+         use async/await
+       - Data lives in "object stores" (like tables)
+
+    2. SIZE LIMIT (LRU = "Least Recently Used"):
+       - Every lesson remembers when it was last shown (lastUsed)
+       - When the cache is too big, the lessons unused for the longest
+         time are deleted first
+
+    3. FAILING SOFTLY:
+       - Private browsing or old browsers may not allow IndexedDB
+       - The cache is only a bonus: every function here returns null or
+         false instead of throwing, and lessons are simply generated
+         every time
+*/
+
+const CONTENT_CACHE_DB_NAME = 'osLearningCache';
+const CONTENT_CACHE_DB_VERSION = 1;
+const CONTENT_CACHE_STORE = 'lessons';
+
+// Size limits - whichever is hit first
+const CONTENT_CACHE_MAX_ENTRIES = 50;
+const CONTENT_CACHE_MAX_CHARS = 500000;  // Roughly 1 MB of text
+
+// The open database (opened once, on first use)
+let contentCacheDB = null;
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    INDEXEDDB HELPERS
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Turn an IndexedDB request into a Promise
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Open (and on first visit, create) the database
+function openContentCache() {
+    if (!contentCacheDB) {
+        contentCacheDB = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(CONTENT_CACHE_DB_NAME, CONTENT_CACHE_DB_VERSION);
+
+            // Runs only when the database is new (or the version goes up)
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(CONTENT_CACHE_STORE, { keyPath: 'key' });
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    return contentCacheDB;
+}
+
+// Get the lessons store, ready for reading ('readonly') or changing ('readwrite')
+async function getContentCacheStore(mode) {
+    const db = await openContentCache();
+    return db.transaction(CONTENT_CACHE_STORE, mode).objectStore(CONTENT_CACHE_STORE);
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    CACHE KEYS
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Short fingerprint of a long string (so keys stay small)
+// Two different prompts CAN get the same hash, so entries also keep
+// the full prompt and getCachedContent() double-checks it
+function hashText(text) {
+    let hash = 5381;
+
+    for (let i = 0; i < text.length; i++) {
+        // hash * 33 + character code, kept as a 32-bit integer
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+
+    return (hash >>> 0).toString(16);
+}
+
+// Key for one module's lesson: module + prompt + provider/model
+// e.g. "module-1|gemini|gemini-2.5-flash|1a2b3c4d"
+function buildContentCacheKey(moduleNumber, prompt, settings) {
+    const resolved = resolveLLMSettings(settings);
+    return `module-${moduleNumber}|${resolved.provider}|${resolved.model}|${hashText(prompt)}`;
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    READING & WRITING
+    ═══════════════════════════════════════════════════════════════
+
+    A saved lesson looks like:
+    {
+        key, moduleNumber, prompt, text,
+        provider, model,
+        createdAt: '2025-10-19T08:00:00.000Z',
+        lastUsed: 1760860800000   (milliseconds, for sorting)
+    }
+*/
+
+// Find a saved lesson - returns the entry, or null if there isn't one
+async function getCachedContent(key, prompt) {
+    try {
+        const store = await getContentCacheStore('readwrite');
+        const entry = await promisifyRequest(store.get(key));
+
+        // Missing, or a different prompt that happens to share the hash
+        if (!entry || entry.prompt !== prompt) return null;
+
+        // Remember it was just used, so the size limit deletes it last
+        entry.lastUsed = Date.now();
+        await promisifyRequest(store.put(entry));
+
+        return entry;
+    } catch (error) {
+        console.warn('⚠️ Could not read saved lessons:', error);
+        return null;
+    }
+}
+
+// Save a lesson - returns true if it worked
+async function saveCachedContent(entry) {
+    try {
+        const store = await getContentCacheStore('readwrite');
+        const now = Date.now();
+
+        await promisifyRequest(store.put(Object.assign({}, entry, {
+            createdAt: new Date(now).toISOString(),
+            lastUsed: now
+        })));
+
+        await trimContentCache();
+        return true;
+    } catch (error) {
+        console.warn('⚠️ Could not save lesson:', error);
+        return false;
+    }
+}
+
+// Delete the least recently used lessons until we're under the size limits
+async function trimContentCache() {
+    const store = await getContentCacheStore('readwrite');
+    const entries = await promisifyRequest(store.getAll());
+
+    // Oldest first
+    entries.sort((a, b) => a.lastUsed - b.lastUsed);
+
+    let count = entries.length;
+    let chars = entries.reduce((total, entry) => total + entry.text.length, 0);
+
+    for (const entry of entries) {
+        if (count <= CONTENT_CACHE_MAX_ENTRIES && chars <= CONTENT_CACHE_MAX_CHARS) break;
+
+        await promisifyRequest(store.delete(entry.key));
+        count--;
+        chars -= entry.text.length;
+    }
+}
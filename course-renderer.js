@@ -0,0 +1,261 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    COURSE RENDERER - Builds the Page from curriculum.js
+    ═══════════════════════════════════════════════════════════════
+
+    index.html only contains the header, the home/setup page and an
+    empty sidebar. This file reads the COURSE object (curriculum.js)
+    and creates:
+    - One sidebar item per module
+    - One <section> per module (header, lesson, question, AI panel,
+      GitHub panel, quiz, navigation)
+    - The "Module X of Y" total in the header
+
+    KEY CONCEPTS:
+
+    1. TEMPLATE LITERALS:
+       - `Module ${number}` builds a string with values inside it
+       - We build each section's HTML as one big string
+
+    2. <template> ELEMENTS:
+       - HTML that the browser parses but does NOT show
+       - We copy (clone) it into a module when the curriculum asks for
+         a widget, e.g. widgets: ['pr-submission'] copies
+         <template id="widget-pr-submission">
+
+    STRUCTURE OF EACH MODULE (all parts except the header are optional):
+    1. Module Header (title + duration)
+    2. Static Content (lesson - same for everyone)
+    3. Personalization Question (dropdown + button)
+    4. AI-Generated Content (appears after button click)
+    5. Live GitHub Data (appears with AI content)
+    6. Quiz (questions picked by quiz-engine.js)
+    7. Widgets (extra blocks like the PR form)
+    8. Navigation (Previous/Next buttons)
+*/
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    LOOKUP HELPERS
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// How many modules the course has (not counting Home)
+function getModuleCount() {
+    return COURSE.modules.length;
+}
+
+// Module definitions are numbered from 1 (Module 1 = modules[0])
+function getCourseModule(moduleNumber) {
+    return COURSE.modules[moduleNumber - 1];
+}
+
+// Element IDs for a module's parts
+// Uses the IDs from curriculum.js when given, otherwise builds them from the number
+function getModuleElementIds(moduleNumber) {
+    const moduleDef = getCourseModule(moduleNumber);
+    const personalization = moduleDef.personalization || {};
+    const ai = moduleDef.ai || {};
+    const github = moduleDef.github || {};
+
+    return {
+        select: personalization.selectId || `personalize-select-${moduleNumber}`,
+        generateButton: personalization.buttonId || ai.buttonId || `generate-btn-${moduleNumber}`,
+        aiContent: `ai-content-${moduleNumber}`,
+        aiResponse: `ai-response-${moduleNumber}`,
+        regenerateButton: `regenerate-btn-${moduleNumber}`,
+        githubData: `github-data-${moduleNumber}`,
+        githubList: github.listId || `github-list-${moduleNumber}`,
+        githubFilters: `github-filters-${moduleNumber}`,
+        githubMore: `github-more-${moduleNumber}`
+    };
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    HTML BUILDERS (one per part of a module)
+    ═══════════════════════════════════════════════════════════════
+
+    Titles, questions and options are escaped with escapeHTML()
+    (markdown.js). The "lesson" is HTML on purpose, so it isn't.
+*/
+
+function buildPersonalizationHTML(moduleDef, ids) {
+    const personalization = moduleDef.personalization;
+    if (!personalization) return '';
+
+    const options = personalization.options
+        .map(([value, label]) => `<option value="${escapeHTML(value)}">${escapeHTML(label)}</option>`)
+        .join('');
+
+    return `
+        <div class="content-block personalization-block">
+            <h3>${escapeHTML(personalization.heading)}</h3>
+            ${personalization.question ? `<p>${escapeHTML(personalization.question)}</p>` : ''}
+            <select id="${ids.select}">
+                <option value="">-- Select One --</option>
+                ${options}
+            </select>
+            <button id="${ids.generateButton}" class="primary-btn" disabled>${escapeHTML(personalization.buttonLabel)}</button>
+        </div>
+    `;
+}
+
+function buildAIContentHTML(moduleDef, ids) {
+    const ai = moduleDef.ai;
+    if (!ai) return '';
+
+    // Shown under the lesson once there is one (skips the saved copy - see content-cache.js)
+    const regenerateButton = `<button id="${ids.regenerateButton}" class="prev-btn regenerate-btn" style="display: none;">🔄 Regenerate</button>`;
+
+    // With a dropdown: the whole panel appears after the button is clicked
+    // Without one: the panel is visible and holds its own button
+    if (moduleDef.personalization) {
+        return `
+            <div id="${ids.aiContent}" class="content-block ai-content" style="display: none;">
+                <h3>${escapeHTML(ai.heading)}</h3>
+                <div id="${ids.aiResponse}" class="ai-response"></div>
+                ${regenerateButton}
+            </div>
+        `;
+    }
+
+    return `
+        <div id="${ids.aiContent}" class="content-block ai-content">
+            <h3>${escapeHTML(ai.heading)}</h3>
+            <button id="${ids.generateButton}" class="primary-btn">${escapeHTML(ai.buttonLabel)}</button>
+            <div id="${ids.aiResponse}" class="ai-response" style="display: none;"></div>
+            ${regenerateButton}
+        </div>
+    `;
+}
+
+function buildGitHubHTML(moduleDef, ids) {
+    if (!moduleDef.github) return '';
+
+    return `
+        <div id="${ids.githubData}" class="content-block github-data" style="display: none;">
+            <h3>${escapeHTML(moduleDef.github.heading)}</h3>
+            ${buildListingFiltersHTML(moduleDef.github.type, ids)}
+            <div id="${ids.githubList}"></div>
+            <button id="${ids.githubMore}" class="prev-btn load-more-btn" style="display: none;">⬇️ Load more</button>
+        </div>
+    `;
+}
+
+// The questions themselves are random, so quiz-engine.js fills them in later
+function buildQuizHTML(moduleDef, moduleNumber) {
+    if (!moduleDef.quiz) return '';
+
+    // Modules with an AI lesson can add questions about it (shown once the lesson exists)
+    const lessonQuestions = moduleDef.ai && getAIQuestionCount(moduleDef.quiz) > 0 ? `
+        <button id="lesson-quiz-${moduleNumber}" class="prev-btn" style="display: none;">✨ Add Questions About My Lesson</button>
+        <p id="lesson-quiz-status-${moduleNumber}" class="stream-note" style="display: none;"></p>
+    ` : '';
+
+    return `
+        <div class="content-block quiz-block">
+            <h3>✅ Knowledge Check</h3>
+            <p id="quiz-intro-${moduleNumber}" class="quiz-intro"></p>
+            <div id="quiz-questions-${moduleNumber}"></div>
+            <button id="check-quiz-${moduleNumber}" class="secondary-btn">Check Answers</button>
+            <button id="retry-quiz-${moduleNumber}" class="prev-btn" style="display: none;">🔀 Try Different Questions</button>
+            ${lessonQuestions}
+            <p id="quiz-feedback-${moduleNumber}" class="quiz-feedback" style="display: none;"></p>
+        </div>
+    `;
+}
+
+function buildNavigationHTML(moduleDef, moduleNumber) {
+    const isLast = moduleNumber === getModuleCount();
+    let html = '';
+
+    if (moduleNumber > 1) {
+        html += `<button id="prev-module-${moduleNumber}" class="prev-btn">← Previous Module</button>`;
+    }
+
+    if (isLast) {
+        html += '<button id="complete-course-btn" class="next-btn big-btn">✅ Complete Course</button>';
+    } else {
+        // Modules with a quiz start locked until it's answered correctly
+        const disabled = moduleDef.quiz ? ' disabled' : '';
+        html += `<button id="next-module-${moduleNumber}" class="next-btn"${disabled}>Next Module →</button>`;
+    }
+
+    return `<div class="navigation">${html}</div>`;
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    MAIN RENDER FUNCTION
+    ═══════════════════════════════════════════════════════════════
+
+    Called once by script.js when the page loads, BEFORE anything
+    tries to find module elements with getElementById.
+*/
+function renderCourse() {
+    const sidebarList = document.getElementById('module-list');
+    const mainContent = document.getElementById('main-content');
+
+    COURSE.modules.forEach((moduleDef, index) => {
+        const moduleNumber = index + 1;
+        const ids = getModuleElementIds(moduleNumber);
+
+        // 1. Sidebar item (starts locked - updateSidebar() fixes the icons)
+        const sidebarItem = document.createElement('li');
+        sidebarItem.id = `sidebar-module-${moduleNumber}`;
+        sidebarItem.className = 'locked';
+        sidebarItem.dataset.section = `module-${moduleNumber}`;
+        sidebarItem.innerHTML = `<span class="icon">🔒</span> Module ${moduleNumber}: ${escapeHTML(moduleDef.sidebarTitle || moduleDef.title)}`;
+        sidebarList.appendChild(sidebarItem);
+
+        // 2. The module section itself (hidden until showSection() picks it)
+        const section = document.createElement('section');
+        section.id = `module-${moduleNumber}`;
+        section.className = 'module-section';
+        section.style.display = 'none';
+
+        section.innerHTML = `
+            <div class="module-header">
+                <h2>Module ${moduleNumber}: ${escapeHTML(moduleDef.title)} ${moduleDef.emoji || ''}</h2>
+                <p class="module-description">Duration: ${escapeHTML(moduleDef.duration)} | ${escapeHTML(moduleDef.tagline)}</p>
+            </div>
+            <div class="content-block">${moduleDef.lesson || ''}</div>
+            ${buildPersonalizationHTML(moduleDef, ids)}
+            ${buildAIContentHTML(moduleDef, ids)}
+            ${buildGitHubHTML(moduleDef, ids)}
+            ${buildQuizHTML(moduleDef, moduleNumber)}
+            ${buildNavigationHTML(moduleDef, moduleNumber)}
+        `;
+
+        // 3. Widgets go just above the navigation buttons
+        const navigation = section.querySelector('.navigation');
+        (moduleDef.widgets || []).forEach(widgetName => {
+            const template = document.getElementById(`widget-${widgetName}`);
+
+            if (template) {
+                section.insertBefore(template.content.cloneNode(true), navigation);
+            } else {
+                console.error(`Widget template "widget-${widgetName}" not found in index.html`);
+            }
+        });
+
+        mainContent.appendChild(section);
+
+        // 4. Fill in this module's quiz questions
+        if (moduleDef.quiz) {
+            renderQuiz(moduleNumber);
+        }
+    });
+
+    // 5. Header: course title and "Module X of Y"
+    document.getElementById('course-title').textContent = COURSE.title;
+    document.title = COURSE.title;
+    document.getElementById('total-modules').textContent = getModuleCount();
+
+    // 6. Fill in repository/course names from platform-config.js
+    applyPlatformConfigText();
+}
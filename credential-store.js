@@ -0,0 +1,283 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    CREDENTIAL STORE - Keeping API Keys Safe
+    ═══════════════════════════════════════════════════════════════
+
+    The AI key and the GitHub token are PASSWORDS for your accounts.
+    On a shared computer (a school lab, a library), anyone who opens
+    the browser's developer tools could read them from localStorage.
+    So they are NOT saved with the rest of your progress. Instead,
+    the student picks one of two ways to keep them:
+
+    1. SESSION ONLY (the default):
+       - Kept in sessionStorage, which the browser deletes when the
+         tab is closed. Refreshing the page is fine
+       - Best for shared computers: walk away, close the tab, done
+
+    2. ENCRYPTED WITH A PASSPHRASE:
+       - Saved in localStorage, but scrambled (encrypted) with a
+         passphrase only the student knows
+       - Coming back later? Type the passphrase to unlock them
+
+    "🔑 Forget my keys" (in the sidebar) deletes them either way.
+
+    Each learner profile (profiles.js) has its own keys.
+
+    KEY CONCEPTS:
+
+    1. WebCrypto (crypto.subtle):
+       - The browser's built-in, well-tested encryption tools. Never
+         write your own encryption!
+       - PBKDF2 turns the passphrase into an encryption key. It's
+         deliberately SLOW (250,000 rounds), so guessing passphrases
+         one after another takes forever
+       - AES-GCM encrypts the keys. It also detects tampering - and a
+         wrong passphrase simply fails to decrypt
+
+    2. SALT and IV:
+       - Random bytes saved next to the encrypted data (they're not
+         secret). The salt makes the same passphrase give a different
+         key on every device; the IV makes every encryption different
+
+    3. NEVER LOG SECRETS:
+       - Nothing in this file prints a key, a token or the passphrase -
+         console output is easy to screenshot or share by accident
+*/
+
+// Which fields are secrets (they used to live in userProgress)
+const CREDENTIAL_FIELDS = ['geminiApiKey', 'githubToken'];
+
+const SESSION_KEYS_STORAGE_KEY = 'osLearningKeys';
+const ENCRYPTED_KEYS_STORAGE_KEY = 'osLearningKeysEncrypted';
+
+const KEY_PBKDF2_ITERATIONS = 250000;
+const KEY_PASSPHRASE_MIN_LENGTH = 8;
+
+// The keys in use right now (only ever in memory, or stored as described above)
+let credentials = { geminiApiKey: '', githubToken: '' };
+
+// Encryption key made from the passphrase - in memory only, never saved
+let credentialCryptoKey = null;
+let credentialSalt = null;
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    ENCRYPTION HELPERS
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Bytes ↔ base64 text (so encrypted bytes can go in localStorage)
+function bytesToBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+// Passphrase + salt → AES key (slow on purpose, see PBKDF2 above)
+async function deriveCredentialKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,                      // The key can't be exported (read back out)
+        ['encrypt', 'decrypt']
+    );
+}
+
+// 'session' or 'encrypted' (a choice, not a secret - saved with the progress)
+function getKeyStorageMode() {
+    return userProgress.keyStorage === 'encrypted' ? 'encrypted' : 'session';
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    SAVING, UNLOCKING & FORGETTING
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Start using a (new) passphrase - call before saving in 'encrypted' mode
+async function setCredentialPassphrase(passphrase) {
+    credentialSalt = crypto.getRandomValues(new Uint8Array(16));
+    credentialCryptoKey = await deriveCredentialKey(passphrase, credentialSalt, KEY_PBKDF2_ITERATIONS);
+}
+
+// Save the keys the chosen way - returns true if it worked
+async function saveCredentials() {
+    // New keys = a new account, maybe: don't reuse GitHub answers cached for the old one
+    clearGitHubETagCache();
+
+    try {
+        if (getKeyStorageMode() === 'session') {
+            localStorage.removeItem(getProfileStorageKey(ENCRYPTED_KEYS_STORAGE_KEY));
+            sessionStorage.setItem(getProfileStorageKey(SESSION_KEYS_STORAGE_KEY), JSON.stringify(credentials));
+            return true;
+        }
+
+        sessionStorage.removeItem(getProfileStorageKey(SESSION_KEYS_STORAGE_KEY));
+
+        if (!credentialCryptoKey) {
+            console.warn('⚠️ Keys not saved: no passphrase has been entered yet.');
+            return false;
+        }
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const encrypted = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv },
+            credentialCryptoKey,
+            new TextEncoder().encode(JSON.stringify(credentials))
+        );
+
+        localStorage.setItem(getProfileStorageKey(ENCRYPTED_KEYS_STORAGE_KEY), JSON.stringify({
+            version: 1,
+            iterations: KEY_PBKDF2_ITERATIONS,
+            salt: bytesToBase64(credentialSalt),
+            iv: bytesToBase64(iv),
+            data: bytesToBase64(encrypted)
+        }));
+        return true;
+
+    } catch (error) {
+        console.error('❌ Could not save your keys:', error.name);
+        return false;
+    }
+}
+
+// Session mode: read this tab's saved keys (if any)
+function loadSessionCredentials() {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(getProfileStorageKey(SESSION_KEYS_STORAGE_KEY)));
+        if (saved) {
+            CREDENTIAL_FIELDS.forEach(field => {
+                credentials[field] = saved[field] || '';
+            });
+        }
+    } catch (error) {
+        console.warn('⚠️ Could not read this session\'s keys:', error.name);
+    }
+}
+
+// Are there encrypted keys waiting for a passphrase?
+function hasLockedCredentials() {
+    return getKeyStorageMode() === 'encrypted' &&
+        !credentialCryptoKey &&
+        localStorage.getItem(getProfileStorageKey(ENCRYPTED_KEYS_STORAGE_KEY)) !== null;
+}
+
+// Decrypt the saved keys - returns false for a wrong passphrase
+async function unlockCredentials(passphrase) {
+    const saved = JSON.parse(localStorage.getItem(getProfileStorageKey(ENCRYPTED_KEYS_STORAGE_KEY)));
+    const salt = base64ToBytes(saved.salt);
+    const key = await deriveCredentialKey(passphrase, salt, saved.iterations);
+
+    let decrypted;
+    try {
+        decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(saved.iv) }, key, base64ToBytes(saved.data));
+    } catch (error) {
+        return false;  // AES-GCM refuses to decrypt with the wrong key
+    }
+
+    const loaded = JSON.parse(new TextDecoder().decode(decrypted));
+    CREDENTIAL_FIELDS.forEach(field => {
+        credentials[field] = loaded[field] || '';
+    });
+
+    credentialCryptoKey = key;
+    credentialSalt = salt;
+    return true;
+}
+
+// Delete the keys everywhere: memory, this session and the encrypted copy
+function forgetCredentials() {
+    credentials = { geminiApiKey: '', githubToken: '' };
+    credentialCryptoKey = null;
+    credentialSalt = null;
+    clearGitHubETagCache();
+
+    sessionStorage.removeItem(getProfileStorageKey(SESSION_KEYS_STORAGE_KEY));
+    localStorage.removeItem(getProfileStorageKey(ENCRYPTED_KEYS_STORAGE_KEY));
+}
+
+// Older versions saved the keys IN the progress. Move them out
+// (into session storage) - returns true if there was anything to move
+function migrateCredentialsFromProgress(progress) {
+    const found = CREDENTIAL_FIELDS.filter(field => field in progress);
+
+    found.forEach(field => {
+        if (progress[field]) {
+            credentials[field] = progress[field];
+        }
+        delete progress[field];
+    });
+
+    return found.length > 0;
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE PAGE: UNLOCK BANNER & "FORGET MY KEYS"
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Put the keys in the Home page's input boxes
+function fillCredentialInputs() {
+    document.getElementById('gemini-api-key').value = credentials.geminiApiKey;
+    document.getElementById('github-token').value = credentials.githubToken;
+}
+
+// Show the "your keys are locked" banner if there's something to unlock
+function showUnlockBanner() {
+    document.getElementById('unlock-keys-banner').style.display = hasLockedCredentials() ? 'block' : 'none';
+}
+
+// "Unlock" was clicked
+async function unlockSavedKeys() {
+    const input = document.getElementById('unlock-passphrase');
+    const status = document.getElementById('unlock-status');
+
+    status.textContent = '🔓 Unlocking...';
+
+    let unlocked = false;
+    try {
+        unlocked = await unlockCredentials(input.value);
+    } catch (error) {
+        console.error('❌ Could not unlock your keys:', error.name);
+    }
+
+    if (!unlocked) {
+        status.textContent = '❌ That passphrase didn\'t work. Try again - or forget the saved keys and enter them again.';
+        return;
+    }
+
+    input.value = '';
+    status.textContent = '';
+    showUnlockBanner();
+    fillCredentialInputs();
+    checkSetupComplete();
+
+    // On the setup page? Check the token is still good (github-auth.js)
+    if (currentModule === 0 && credentials.githubToken) {
+        checkGitHubToken(credentials.githubToken);
+    }
+}
+
+// "Forget my keys" was clicked (sidebar or unlock banner)
+function forgetMyKeys() {
+    if (!confirm('Delete your saved AI key and GitHub token from this browser? Your course progress is kept.')) return;
+
+    forgetCredentials();
+    fillCredentialInputs();
+    scheduleGitHubTokenCheck();  // Clears the token check message (github-auth.js)
+    showUnlockBanner();
+    checkSetupComplete();
+
+    alert('🔑 Your keys were deleted from this browser. Enter them again on the Home page when you need them.');
+}
@@ -0,0 +1,360 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    CURRICULUM - The Course Definition
+    ═══════════════════════════════════════════════════════════════
+
+    This file DESCRIBES the course. It doesn't do anything by itself -
+    course-renderer.js turns it into the sidebar and module pages, and
+    script.js wires up the buttons.
+
+    WANT TO ADD A MODULE?
+    Add an object to the "modules" array below. You don't need to touch
+    index.html or script.js! Modules are numbered by their position
+    (first = Module 1, second = Module 2, ...).
+
+    MODULE FIELDS:
+    - title: Shown in the module header (e.g. "Understanding Open Source")
+    - sidebarTitle: Shorter title for the sidebar (optional, defaults to title)
+    - emoji: Shown after the title in the header
+    - duration / tagline: "Duration: ~10 minutes | Build foundational knowledge"
+    - lesson: The static lesson (HTML - the same for every student)
+
+    - personalization (optional): A dropdown question
+        - heading / question: Text above the dropdown
+        - progressKey: Where the answer is saved in userProgress
+        - options: [value, label] pairs
+        - selectId / buttonId: Element IDs (optional, generated if missing)
+        - buttonLabel: Text on the "generate" button
+        - missingMessage: Alert shown if nothing is selected
+
+    - ai (optional): AI-generated content
+        - heading: Title of the AI panel
+        - loadingMessage: Shown while waiting
+        - prompt(progress): Returns the prompt text (progress = userProgress)
+        - errorMessage: Shown if the AI call fails (optional)
+        - buttonLabel / buttonId / doneLabel: ONLY for modules without a
+          personalization question - puts a button inside the AI panel
+
+    - github (optional): Live GitHub data shown after the AI content
+        - type: 'repos' (popular projects) or 'issues' (good first issues)
+        - heading: Title of the panel
+        - listId: Element ID for the list (optional)
+
+    - quiz (optional): Knowledge check (see quiz-engine.js)
+        - bank: Name of a question bank in question-bank.js
+        - questionCount: How many random questions to ask
+        - passThreshold: Fraction needed to pass (0.6 = 60%)
+
+    - widgets (optional): Extra blocks copied from <template id="widget-NAME">
+      elements in index.html (e.g. the PR submission form)
+*/
+
+const COURSE = {
+    title: PLATFORM_CONFIG.courseName,  // Set in platform-config.js
+
+    modules: [
+
+        // ─────────────────────────────────────────────────────────
+        // MODULE 1: Understanding Open Source
+        // ─────────────────────────────────────────────────────────
+        {
+            title: 'Understanding Open Source',
+            emoji: '🌍',
+            duration: '~10 minutes',
+            tagline: 'Build foundational knowledge',
+
+            lesson: `
+                <h3>📖 What is Open Source?</h3>
+                <p>Open source software is code that anyone can view, use, modify, and share. Unlike proprietary software (like Microsoft Word), open source projects make their code publicly available.</p>
+
+                <p><strong>Why it matters:</strong></p>
+                <ul>
+                    <li><strong>Powers the internet:</strong> Most websites run on open source (Linux, Apache, etc.)</li>
+                    <li><strong>Free to use:</strong> Anyone can use it without paying</li>
+                    <li><strong>Community-driven:</strong> Thousands of developers collaborate globally</li>
+                    <li><strong>Career benefits:</strong> Contributing builds your portfolio and network</li>
+                </ul>
+
+                <p><strong>Popular Open Source Licenses:</strong></p>
+                <ul>
+                    <li><strong>MIT:</strong> Very permissive - do almost anything with the code</li>
+                    <li><strong>GPL:</strong> Must share your modifications</li>
+                    <li><strong>Apache 2.0:</strong> Similar to MIT but with patent protection</li>
+                </ul>
+            `,
+
+            personalization: {
+                heading: '🎯 Personalize Your Learning',
+                question: 'What tech area interests you most?',
+                progressKey: 'interest',
+                selectId: 'interest-select',
+                buttonId: 'generate-personalized-btn',
+                buttonLabel: 'Generate My Personalized Content',
+                missingMessage: 'Please select an interest area first!',
+                options: [
+                    ['game-development', 'Game Development'],
+                    ['web-development', 'Web Development'],
+                    ['data-science', 'Data Science/AI'],
+                    ['mobile-apps', 'Mobile Apps'],
+                    ['devops', 'DevOps/Tools'],
+                    ['exploring', 'Just Exploring']
+                ]
+            },
+
+            ai: {
+                heading: '🤖 Your Personalized Introduction',
+                loadingMessage: '✨ Generating your personalized content...',
+                prompt: progress => `You're teaching open source to someone interested in ${progress.interest}.
+
+Explain what open source is in an engaging way. Include:
+1. A clear definition
+2. Why it matters in the ${progress.interest} field
+3. 2-3 specific examples of popular open source projects in ${progress.interest}
+4. Career benefits for someone in ${progress.interest}
+
+Keep it conversational and encouraging, 300-400 words. Use paragraphs, not bullet points.`
+            },
+
+            github: {
+                type: 'repos',
+                heading: '🔍 Popular Open Source Projects in Your Field',
+                listId: 'projects-list-1'
+            },
+
+            quiz: {
+                bank: 'open-source-basics',
+                questionCount: 3,
+                passThreshold: 0.6
+            }
+        },
+
+        // ─────────────────────────────────────────────────────────
+        // MODULE 2: Finding Your First Issue
+        // ─────────────────────────────────────────────────────────
+        {
+            title: 'Finding Your First Issue',
+            emoji: '🔍',
+            duration: '~15 minutes',
+            tagline: 'Learn to identify good contributions',
+
+            lesson: `
+                <h3>📖 Understanding GitHub Labels</h3>
+                <p>GitHub uses labels to organize issues. Here are the most important ones for beginners:</p>
+                <ul>
+                    <li><strong>"good first issue":</strong> Perfect for newcomers</li>
+                    <li><strong>"beginner-friendly":</strong> Doesn't require deep knowledge</li>
+                    <li><strong>"documentation":</strong> Help improve docs (great for beginners!)</li>
+                    <li><strong>"help wanted":</strong> Maintainers are looking for contributors</li>
+                </ul>
+
+                <h3>What Makes a Good First Issue?</h3>
+                <ul>
+                    <li>✅ Clear description of what needs to be done</li>
+                    <li>✅ Active project (recent commits)</li>
+                    <li>✅ Friendly maintainers who respond to questions</li>
+                    <li>✅ Good documentation</li>
+                </ul>
+
+                <h3>Red Flags to Avoid:</h3>
+                <ul>
+                    <li>❌ No activity in 6+ months</li>
+                    <li>❌ Vague issue descriptions</li>
+                    <li>❌ Lots of open PRs with no maintainer response</li>
+                    <li>❌ Issues that require deep knowledge of the codebase</li>
+                </ul>
+            `,
+
+            personalization: {
+                heading: '🎯 What\'s Your Coding Skill Level?',
+                progressKey: 'skillLevel',
+                selectId: 'skill-select',
+                buttonId: 'generate-skill-advice-btn',
+                buttonLabel: 'Get Personalized Advice',
+                missingMessage: 'Please select your skill level first!',
+                options: [
+                    ['total-beginner', 'Total beginner (never coded)'],
+                    ['some-experience', 'Some coding experience'],
+                    ['comfortable', 'Comfortable with programming'],
+                    ['experienced', 'Experienced developer']
+                ]
+            },
+
+            ai: {
+                heading: '🤖 Advice for Your Skill Level',
+                loadingMessage: '✨ Generating advice for your skill level...',
+                prompt: progress => `A ${progress.skillLevel} developer interested in ${progress.interest} is looking for their first open source issue.
+
+Explain what makes a good first issue for someone at their level. Include:
+- What to look for in an issue description
+- Red flags to avoid
+- 3-4 example issue types that would be appropriate for their skill level
+- How to evaluate if an issue is too difficult
+
+Keep it practical and encouraging. 250-300 words.`
+            },
+
+            github: {
+                type: 'issues',
+                heading: '🔍 Good First Issues in Your Field',
+                listId: 'issues-list-2'
+            },
+
+            quiz: {
+                bank: 'finding-issues',
+                questionCount: 3,
+                passThreshold: 0.6
+            }
+        },
+
+        // ─────────────────────────────────────────────────────────
+        // MODULE 3: Making Your First Contribution
+        // ─────────────────────────────────────────────────────────
+        {
+            title: 'Making Your First Contribution',
+            sidebarTitle: 'Making Your Contribution',
+            emoji: '🚀',
+            duration: '~20 minutes',
+            tagline: 'Step-by-step contribution process',
+
+            lesson: `
+                <h3>📖 The Git Workflow</h3>
+                <p>Contributing to open source follows these steps:</p>
+
+                <ol class="workflow-steps">
+                    <li><strong>Fork:</strong> Create your own copy of the project</li>
+                    <li><strong>Clone:</strong> Download it to your computer</li>
+                    <li><strong>Branch:</strong> Create a new branch for your changes</li>
+                    <li><strong>Edit:</strong> Make your changes to the code</li>
+                    <li><strong>Commit:</strong> Save your changes with a message</li>
+                    <li><strong>Push:</strong> Upload your changes to GitHub</li>
+                    <li><strong>Pull Request (PR):</strong> Ask the project to include your changes</li>
+                </ol>
+
+                <h3>Writing Good Commit Messages</h3>
+                <div class="code-example">
+                    <p><strong>Good:</strong> "Fix typo in README installation section"</p>
+                    <p><strong>Bad:</strong> "fixed stuff"</p>
+                </div>
+                <p><strong>Tips:</strong></p>
+                <ul>
+                    <li>Start with a verb: Fix, Add, Update, Remove</li>
+                    <li>Be specific about what changed</li>
+                    <li>Keep it under 50 characters</li>
+                </ul>
+
+                <h3>PR Etiquette</h3>
+                <ul>
+                    <li>✅ Be polite and professional</li>
+                    <li>✅ Respond to feedback promptly</li>
+                    <li>✅ Make requested changes</li>
+                    <li>✅ Say thank you!</li>
+                </ul>
+            `,
+
+            personalization: {
+                heading: '🎯 Have You Used Git Before?',
+                progressKey: 'gitExperience',
+                selectId: 'git-select',
+                buttonId: 'generate-git-help-btn',
+                buttonLabel: 'Get Git Guidance',
+                missingMessage: 'Please select your Git experience level!',
+                options: [
+                    ['never-used', 'Never used it'],
+                    ['used-a-little', 'Used it a little'],
+                    ['pretty-comfortable', 'Pretty comfortable']
+                ]
+            },
+
+            ai: {
+                heading: '🤖 Git Workflow for Your Level',
+                loadingMessage: '✨ Creating your Git workflow guide...',
+                prompt: progress => {
+                    // How much detail depends on their Git experience
+                    let detailLevel = '';
+                    if (progress.gitExperience === 'never-used') {
+                        detailLevel = 'Use very simple language and explain each term (fork, clone, commit, etc.)';
+                    } else if (progress.gitExperience === 'used-a-little') {
+                        detailLevel = 'Provide clear commands with brief explanations';
+                    } else {
+                        detailLevel = 'Keep it concise with key commands and best practices';
+                    }
+
+                    return `Teach a ${progress.gitExperience} student the Git workflow for contributing to open source.
+
+Cover these steps:
+1. Fork and clone a repository
+2. Create a new branch
+3. Make changes
+4. Commit with a good message
+5. Push and create a Pull Request
+
+${detailLevel}
+
+Include actual command examples. 300-350 words.`;
+                }
+            },
+
+            quiz: {
+                bank: 'git-workflow',
+                questionCount: 3,
+                passThreshold: 0.6
+            }
+        },
+
+        // ─────────────────────────────────────────────────────────
+        // MODULE 4: Join the Community
+        // ─────────────────────────────────────────────────────────
+        {
+            title: 'Join the Community',
+            emoji: '🎉',
+            duration: '~10 minutes',
+            tagline: 'Submit your first real PR!',
+
+            lesson: `
+                <h3>📖 Open Source Etiquette</h3>
+                <ul>
+                    <li><strong>Be respectful:</strong> Remember, maintainers are volunteers</li>
+                    <li><strong>Read the guidelines:</strong> Check CONTRIBUTING.md before submitting</li>
+                    <li><strong>Ask questions:</strong> Don't be afraid to ask for help</li>
+                    <li><strong>Be patient:</strong> Reviews can take days or weeks</li>
+                    <li><strong>Give back:</strong> Help others once you're comfortable</li>
+                </ul>
+
+                <h3>Continuing Your Journey</h3>
+                <p>After this course, here's what to do:</p>
+                <ul>
+                    <li>Start with documentation fixes (typos, clarity improvements)</li>
+                    <li>Join project Discord/Slack channels</li>
+                    <li>Follow projects you're interested in</li>
+                    <li>Contribute regularly - even small PRs matter!</li>
+                </ul>
+            `,
+
+            // No dropdown here - the roadmap uses everything from earlier modules
+            ai: {
+                heading: '🤖 Your Personalized Next Steps',
+                buttonId: 'generate-next-steps-btn',
+                buttonLabel: 'Get My Personalized Roadmap',
+                doneLabel: '✅ Roadmap Generated!',
+                loadingMessage: '✨ Creating your personalized roadmap...',
+                errorMessage: '❌ Error generating roadmap.',
+                prompt: progress => `Create a personalized next steps guide for someone who:
+- Is interested in ${progress.interest}
+- Has ${progress.skillLevel} skill level
+- Has ${progress.gitExperience} Git experience
+- Just learned the basics of open source contribution
+
+Provide:
+1. Recommended projects to contribute to (specific names if possible)
+2. Skills to learn next for ${progress.interest}
+3. Communities to join
+4. Resources for continued learning
+
+Be encouraging and specific. 300-350 words.`
+            },
+
+            // THE BIG MOMENT: the PR submission form lives in index.html
+            widgets: ['pr-submission']
+        }
+    ]
+};
@@ -12,23 +12,50 @@
        - await = "wait for this to finish before continuing"
        - Think of it like ordering food: you "await" for your order to be ready
 
-    2. FETCH API:
-       - Built-in browser function to make HTTP requests
-       - Like asking a website for information
-       - Returns a Promise (a "I'll get back to you with the answer")
-
-    3. HTTP HEADERS:
-       - Extra information sent with requests
-       - Authorization header = proves you have permission (your token)
-       - Accept header = tells GitHub what format you want the data in
-
-    4. ERROR HANDLING:
-       - try { } = "try to do this"
-       - catch (error) { } = "if something goes wrong, do this instead"
-       - Essential for network requests that might fail!
+    2. GITHUB CLIENT:
+       - Every request goes through githubRequest() (github-client.js)
+       - It adds your token, handles rate limits and retries, and
+         throws a clear error type when something goes wrong
+
+    3. ERROR HANDLING:
+       - The search functions let errors through (they THROW)
+       - script.js catches them, explains the problem to the student
+         and shows the fallback data below instead
 */
 
 
+// How many repositories per page ("Load more" gets the next page)
+const REPO_PAGE_SIZE = 5;
+
+/*
+    The student's filters → extra search qualifiers, e.g.
+    { language: 'Rust', minStars: 100, updatedWithinDays: 30 } →
+    ['language:"Rust"', 'stars:>=100', 'pushed:>=2025-09-19']
+
+    dateQualifier: 'pushed' for repositories, 'updated' for issues
+    (Stars aren't searchable for issues - issue-ranking.js checks those)
+*/
+function buildFilterQualifiers(filters, dateQualifier) {
+    const qualifiers = [];
+
+    if (filters.language) {
+        qualifiers.push(`language:"${filters.language}"`);
+    }
+    if (filters.minStars > 0 && dateQualifier === 'pushed') {
+        qualifiers.push(`stars:>=${filters.minStars}`);
+    }
+    if (filters.label) {
+        qualifiers.push(quoteLabelQualifier(filters.label));
+    }
+    if (filters.updatedWithinDays > 0) {
+        const since = new Date(Date.now() - filters.updatedWithinDays * DAY_MS);
+        qualifiers.push(`${dateQualifier}:>=${since.toISOString().slice(0, 10)}`);
+    }
+
+    return qualifiers;
+}
+
+
 /*
     ═══════════════════════════════════════════════════════════════
     SEARCH REPOSITORIES BY TOPIC
@@ -39,82 +66,128 @@
     PARAMETERS:
     - topic: The interest area (e.g., "game-development", "web-development")
     - token: The user's GitHub token (for authentication)
+    - options (optional):
+        filters: The student's filters and sort (see github-listings.js)
+        page: Which page of results (1 = the first REPO_PAGE_SIZE)
 
     RETURNS:
-    - Array of repository objects with: name, description, stars, url
-*/
-async function searchGitHubRepos(topic, token) {
-    try {
-        // Map user-friendly topics to GitHub search terms
-        const topicMap = {
-            'game-development': 'game OR gamedev OR godot OR unity',
-            'web-development': 'web OR javascript OR react OR vue',
-            'data-science': 'data-science OR machine-learning OR python',
-            'mobile-apps': 'mobile OR android OR ios OR react-native',
-            'devops': 'devops OR kubernetes OR docker OR ci-cd',
-            'exploring': 'beginner OR first-timers-only OR good-first-issue'
-        };
-
-        // Get the search query for this topic
-        const searchQuery = topicMap[topic] || 'good-first-issue';
-
-        /*
-            GITHUB SEARCH API ENDPOINT:
-            https://api.github.com/search/repositories
-
-            QUERY PARAMETERS:
-            q = search query
-            sort = how to sort results (stars = most popular first)
-            order = desc (descending - highest to lowest)
-            per_page = how many results to return
-        */
-        const url = `https://api.github.com/search/repositories?q=${searchQuery}+good-first-issues:>5&sort=stars&order=desc&per_page=5`;
-
-        /*
-            FETCH REQUEST:
-            - method: GET = "get me data" (default, so we don't need to specify)
-            - headers: Extra information about the request
-        */
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': `Bearer ${token}`,  // Your GitHub token
-                'Accept': 'application/vnd.github.v3+json'  // Tell GitHub we want JSON format
-            }
-        });
+    - { repos, hasMore }
+      repos = Array of repository objects with: name, description, stars,
+              url and health (the health card - see repo-health.js)
+      hasMore = true if there's another page ("Load more")
 
-        /*
-            CHECK IF REQUEST SUCCEEDED:
-            response.ok = true if status code is 200-299
-            If not ok, throw an error
-        */
-        if (!response.ok) {
-            throw new Error(`GitHub API error: ${response.status}`);
-        }
+    THROWS:
+    - A GitHubError (github-client.js) if the search fails
+*/
+async function searchGitHubRepos(topic, token, options) {
+    const opts = options || {};
+    const filters = opts.filters || {};
+    const page = opts.page || 1;
+
+    // Map user-friendly topics to GitHub search terms
+    const topicMap = {
+        'game-development': 'game OR gamedev OR godot OR unity',
+        'web-development': 'web OR javascript OR react OR vue',
+        'data-science': 'data-science OR machine-learning OR python',
+        'mobile-apps': 'mobile OR android OR ios OR react-native',
+        'devops': 'devops OR kubernetes OR docker OR ci-cd',
+        'exploring': 'beginner OR first-timers-only OR good-first-issue'
+    };
 
-        // Convert response to JSON (JavaScript object)
-        const data = await response.json();
-
-        /*
-            PROCESS THE DATA:
-            GitHub returns: { items: [...] }
-            Each item is a repository with tons of info
-            We only want: name, description, stars, url
-        */
-        return data.items.map(repo => ({
-            name: repo.name,
-            fullName: repo.full_name,  // owner/repo-name
-            description: repo.description || 'No description available',
-            stars: repo.stargazers_count,
-            url: repo.html_url,
-            language: repo.language || 'Multiple'
-        }));
-
-    } catch (error) {
-        console.error('Error fetching repositories:', error);
-
-        // Return fallback data if API fails
-        return getFallbackRepos(topic);
+    // Get the search query for this topic
+    const searchQuery = topicMap[topic] || 'good-first-issue';
+
+    /*
+        GITHUB SEARCH API ENDPOINT:
+        https://api.github.com/search/repositories
+
+        QUERY PARAMETERS:
+        q = search query (plus the student's filters, e.g. language:"Rust")
+        sort = how to sort results (stars = most popular first,
+               updated = most recently changed first - "Beginner-
+               friendly first" also asks for stars, then re-ranks
+               each page of five by health score)
+        order = desc (descending - highest to lowest)
+        per_page = how many results to return
+        page = which "page" of results (2 = results 6-10)
+    */
+    const query = [`${searchQuery} good-first-issues:>5`, ...buildFilterQualifiers(filters, 'pushed')].join(' ');
+    const sort = filters.sort === 'updated' ? 'updated' : 'stars';
+    const path = `/search/repositories?q=${encodeURIComponent(query)}&sort=${sort}&order=desc&per_page=${REPO_PAGE_SIZE}&page=${page}`;
+
+    // githubRequest sends the token, retries if GitHub is busy, and
+    // converts the response to JSON (a JavaScript object)
+    const data = await githubRequest(path, { token: token });
+
+    /*
+        PROCESS THE DATA:
+        GitHub returns: { items: [...] }
+        Each item is a repository with tons of info
+        We only want: name, description, stars, url
+    */
+    const repos = data.items.map(repo => ({
+        name: repo.name,
+        fullName: repo.full_name,  // owner/repo-name
+        description: repo.description || 'No description available',
+        stars: repo.stargazers_count,
+        url: repo.html_url,
+        language: repo.language || 'Multiple'
+    }));
+
+    // Check each project's health, and put the friendliest first if asked
+    // (within this page only - scoring every result would cost far too many requests)
+    await attachRepoHealth(repos, token);
+    if (filters.sort === 'health') {
+        repos.sort((a, b) => b.health.score - a.health.score);
     }
+
+    return { repos: repos, hasMore: page * REPO_PAGE_SIZE < data.total_count && repos.length === REPO_PAGE_SIZE };
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    LABEL ALIASES
+    ═══════════════════════════════════════════════════════════════
+
+    Projects don't agree on label names! "Good first issue" is
+    written "good first issue" (GitHub's default), "good-first-issue",
+    and so on. So each KIND of label lists the real names projects
+    use, and each skill level lists the kinds that suit it.
+
+    QUOTING:
+    In a search, label:good first issue means the label "good" plus
+    the words "first" and "issue". Names are always put in quotes:
+    label:"good first issue"
+*/
+
+// Kind of label → the names projects actually use
+const ISSUE_LABEL_ALIASES = {
+    'good-first-issue': ['good first issue', 'good-first-issue'],
+    'first-timers': ['first-timers-only'],
+    'beginner': ['beginner friendly', 'beginner'],
+    'documentation': ['documentation'],
+    'help-wanted': ['help wanted']
+};
+
+// Skill level → the kinds of labels to search for
+const SKILL_LEVEL_LABEL_KINDS = {
+    'total-beginner': ['good-first-issue', 'first-timers', 'beginner', 'documentation'],
+    'some-experience': ['good-first-issue', 'first-timers', 'beginner'],
+    'comfortable': ['good-first-issue', 'first-timers'],
+    'experienced': ['good-first-issue', 'help-wanted']
+};
+
+// Skill level → every label name to search for (no repeats)
+function resolveIssueLabels(skillLevel) {
+    const kinds = SKILL_LEVEL_LABEL_KINDS[skillLevel] || SKILL_LEVEL_LABEL_KINDS['some-experience'];
+    const names = kinds.flatMap(kind => ISSUE_LABEL_ALIASES[kind]);
+    return [...new Set(names)];
+}
+
+// 'good first issue' → label:"good first issue"
+function quoteLabelQualifier(name) {
+    return `label:"${name.replace(/"/g, '')}"`;
 }
 
 
@@ -127,71 +200,108 @@ async function searchGitHubRepos(topic, token) {
     - User's interest area
     - User's skill level
 
+    It searches once for each label that suits the skill level (see
+    LABEL ALIASES above) and merges the results into a big pile of
+    candidates. Then issue-ranking.js drops the ones that are taken
+    and picks the best few for this student.
+
     PARAMETERS:
     - interest: Their chosen field
     - skillLevel: Their coding experience
     - token: GitHub token
+    - options (optional):
+        filters: The student's filters and sort (see github-listings.js)
+        page: Which page of each label's search results
 
     RETURNS:
-    - Array of issue objects
+    - { issues, hasMore }
+      issues = Array of issue objects in the chosen order, each with
+      the reasons it was suggested (see rankGoodFirstIssues in
+      issue-ranking.js). Not yet checked for linked Pull Requests -
+      takeIssuesWithoutOpenPRs() does that for the ones shown
+      hasMore = true if a search has another page
+
+    THROWS:
+    - A GitHubError (github-client.js) if the search fails
 */
-async function searchGoodFirstIssues(interest, skillLevel, token) {
-    try {
-        // Build search query based on skill level
-        let labelQuery = 'good-first-issue';
-
-        if (skillLevel === 'total-beginner') {
-            labelQuery = 'good-first-issue OR beginner OR documentation';
-        } else if (skillLevel === 'experienced') {
-            labelQuery = 'good-first-issue OR help-wanted';
-        }
+async function searchGoodFirstIssues(interest, skillLevel, token, options) {
+    const opts = options || {};
+    const filters = opts.filters || {};
+    const page = opts.page || 1;
+
+    // Map interest to topic keywords for better searching
+    const topicMap = {
+        'game-development': 'game OR gamedev OR unity OR godot',
+        'web-development': 'javascript OR typescript OR react OR vue OR web',
+        'data-science': 'python OR data OR ml OR ai',
+        'mobile-apps': 'android OR ios OR mobile OR react-native',
+        'devops': 'docker OR kubernetes OR devops OR ci-cd',
+        'exploring': 'beginner OR starter'
+    };
 
-        // Map interest to topic keywords for better searching
-        const topicMap = {
-            'game-development': 'game OR gamedev OR unity OR godot',
-            'web-development': 'javascript OR typescript OR react OR vue OR web',
-            'data-science': 'python OR data OR ml OR ai',
-            'mobile-apps': 'android OR ios OR mobile OR react-native',
-            'devops': 'docker OR kubernetes OR devops OR ci-cd',
-            'exploring': 'beginner OR starter'
-        };
-
-        const topic = topicMap[interest] || 'beginner';
-
-        /*
-            GITHUB ISSUES SEARCH:
-            - label: Filter by issue labels (varies by skill level)
-            - state:open = Only show open (unsolved) issues
-            - topic keywords in title/body to match interest area
-        */
-        const url = `https://api.github.com/search/issues?q=label:${labelQuery.replace(/ OR /g, ',label:')}+state:open+(${topic})&sort=created&order=desc&per_page=5`;
-
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/vnd.github.v3+json'
-            }
-        });
+    const topic = topicMap[interest] || 'beginner';
+
+    /*
+        GITHUB ISSUES SEARCH (one search per label - see LABEL ALIASES above):
+        - label:"good first issue" = Filter by ONE label (quoted, spaces and all)
+        - state:open = Only show open (unsolved) issues
+        - topic keywords in title/body to match interest area
+        - is:issue no:assignee -linked:pr = issues nobody has taken yet
+          (GitHub does the first round of filtering for us)
+        - sort=updated = recently active issues make better candidates
+          ("Least comments" asks for sort=comments, fewest first)
+        - "Most stars" can't be asked for: GitHub's issue search only
+          sorts by comments, reactions, interactions, created or
+          updated. rankGoodFirstIssues() sorts by the project's stars
+          itself (it looks every project up anyway)
+        - plus the student's filters (language, label, updated since)
+    */
+    const extraQualifiers = buildFilterQualifiers(filters, 'updated').join(' ');
+    const sort = filters.sort === 'comments' ? 'sort=comments&order=asc' : 'sort=updated&order=desc';
+
+    // The pages are shared between the labels, so one page of every
+    // search together is about ISSUE_CANDIDATE_COUNT issues
+    const labels = resolveIssueLabels(skillLevel);
+    const perPage = Math.ceil(ISSUE_CANDIDATE_COUNT / labels.length);
+
+    const searches = labels.map(label => {
+        const query = `${quoteLabelQualifier(label)} state:open is:issue no:assignee -linked:pr (${topic}) ${extraQualifiers}`.trim();
+        const path = `/search/issues?q=${encodeURIComponent(query)}&${sort}&per_page=${perPage}&page=${page}`;
+        return githubRequest(path, { token: token });
+    });
 
-        if (!response.ok) {
-            throw new Error(`GitHub API error: ${response.status}`);
-        }
+    // One failed search is fine - all of them failing is an error
+    const results = await Promise.allSettled(searches);
+    const succeeded = results.filter(result => result.status === 'fulfilled');
+    if (succeeded.length === 0) {
+        throw results[0].reason;
+    }
+    results.filter(result => result.status === 'rejected').forEach(result => {
+        console.warn('⚠️ One of the issue searches failed:', result.reason.message);
+    });
 
-        const data = await response.json();
+    // Merge: an issue with two matching labels is found twice - keep it once
+    const candidates = mergeIssueSearchResults(succeeded.map(result => result.value.items));
 
-        // Process and return issue data
-        return data.items.map(issue => ({
-            title: issue.title,
-            repo: issue.repository_url.split('/').slice(-2).join('/'),  // Extract owner/repo
-            url: issue.html_url,
-            labels: issue.labels.map(label => label.name),
-            createdAt: new Date(issue.created_at).toLocaleDateString()
-        }));
+    // Drop the taken ones, score the rest and sort them (issue-ranking.js)
+    const issues = await rankGoodFirstIssues(candidates, interest, token, filters);
 
-    } catch (error) {
-        console.error('Error fetching issues:', error);
-        return getFallbackIssues(interest);
-    }
+    // A full page from any search = there may be more
+    const hasMore = succeeded.some(result => result.value.items.length === perPage);
+
+    return { issues: issues, hasMore: hasMore };
+}
+
+// Combine several searches' issues (no duplicates)
+function mergeIssueSearchResults(itemLists) {
+    const byUrl = new Map();
+    itemLists.forEach(items => {
+        items.forEach(issue => {
+            if (!byUrl.has(issue.html_url)) byUrl.set(issue.html_url, issue);
+        });
+    });
+
+    return [...byUrl.values()];
 }
 
 
@@ -201,7 +311,7 @@ async function searchGoodFirstIssues(interest, skillLevel, token) {
     ═══════════════════════════════════════════════════════════════
 
     If the GitHub API fails (rate limit, network error, etc.),
-    we return pre-loaded example data so the app still works.
+    script.js shows pre-loaded example data so the app still works.
 
     This is called "graceful degradation" - the app degrades gracefully
     instead of completely breaking.
@@ -405,13 +515,31 @@ function getFallbackIssues(interest) {
     ═══════════════════════════════════════════════════════════════
 
     These functions take the data from GitHub and create HTML to display it.
+
+    SAFETY FIRST:
+    Repo descriptions and issue titles are written by ANYONE on GitHub.
+    We never put them into the page as raw HTML:
+    - escapeHTML() for plain values (names, languages, labels)
+    - renderInlineMarkdown() for descriptions/titles (keeps `code` and **bold**)
+    - sanitizeHTML() on the finished cards as a final safety net
+    (All three live in markdown.js)
 */
 
+// Note above the fallback data saying WHY GitHub couldn't be searched
+// (nextStep: what happens now - example data, unless it says otherwise)
+function displayGitHubErrorNote(error, containerId, nextStep) {
+    const container = document.getElementById(containerId);
+    const note = document.createElement('p');
+    note.className = 'github-error-note';
+    note.textContent = `⚠️ ${getGitHubErrorHelp(error)} ${nextStep || 'Showing example data instead.'}`;
+    container.prepend(note);
+}
+
 function displayRepos(repos, containerId) {
     const container = document.getElementById(containerId);
 
     if (!repos || repos.length === 0) {
-        container.innerHTML = '<p>No repositories found. Try a different interest area!</p>';
+        container.innerHTML = '<p>No repositories found. Try a different interest area or fewer filters!</p>';
         return;
     }
 
@@ -420,26 +548,39 @@ function displayRepos(repos, containerId) {
     repos.forEach(repo => {
         html += `
             <div class="github-item">
-                <h4>${repo.name}</h4>
-                <p>${repo.description}</p>
+                <h4>${escapeHTML(repo.name)}</h4>
+                <p>${renderInlineMarkdown(repo.description)}</p>
                 <p>
                     <span class="stars">⭐ ${repo.stars.toLocaleString()}</span>
-                    <span style="margin-left: 16px; color: #6B7280;">Language: ${repo.language}</span>
+                    <span class="repo-language">Language: ${escapeHTML(repo.language)}</span>
                 </p>
-                <a href="${repo.url}" target="_blank">View on GitHub</a>
+                ${renderRepoHealthCard(repo.health)}
+                <a href="${escapeHTML(repo.url)}" target="_blank">View on GitHub</a>
             </div>
         `;
     });
 
-    container.innerHTML = html;
+    container.innerHTML = sanitizeHTML(html);
 }
 
 
+// "Why this issue?" - the reasons from issue-ranking.js (example data has none)
+function renderIssueReasons(reasons) {
+    if (!reasons || reasons.length === 0) return '';
+
+    return `
+        <div class="issue-reasons">
+            <strong>💡 Why this issue?</strong>
+            <ul>${reasons.map(reason => `<li>${escapeHTML(reason)}</li>`).join('')}</ul>
+        </div>
+    `;
+}
+
 function displayIssues(issues, containerId) {
     const container = document.getElementById(containerId);
 
     if (!issues || issues.length === 0) {
-        container.innerHTML = '<p>No issues found. Try searching on GitHub directly!</p>';
+        container.innerHTML = '<p>No issues found. Try fewer filters, or search on GitHub directly!</p>';
         return;
     }
 
@@ -447,18 +588,24 @@ function displayIssues(issues, containerId) {
     issues.forEach(issue => {
         html += `
             <div class="github-item">
-                <h4>${issue.title}</h4>
-                <p style="color: #6B7280; font-size: 13px;">Repository: ${issue.repo}</p>
-                <p style="font-size: 13px;">
-                    ${issue.labels.map(label => `<span style="background: #EFF6FF; padding: 4px 8px; border-radius: 4px; margin-right: 4px;">${label}</span>`).join('')}
+                <h4>${renderInlineMarkdown(issue.title)}</h4>
+                <p class="issue-repo">Repository: ${escapeHTML(issue.repo)}</p>
+                <p class="issue-labels">
+                    ${issue.labels.map(label => `<span class="issue-label">${escapeHTML(label)}</span>`).join('')}
                 </p>
-                <p style="color: #9CA3AF; font-size: 12px;">Created: ${issue.createdAt}</p>
-                <a href="${issue.url}" target="_blank">View Issue</a>
+                <p class="issue-date">Created: ${escapeHTML(issue.createdAt)}</p>
+                ${renderIssueReasons(issue.reasons)}
+                <a href="${escapeHTML(issue.url)}" target="_blank">View Issue</a>
             </div>
         `;
     });
 
-    container.innerHTML = html;
+    container.innerHTML = sanitizeHTML(html);
+
+    // "☆ Save" puts it on the watchlist (watchlist.js),
+    // "🔍 Details" opens the issue right here (issue-detail.js)
+    addWatchlistButtons(container, issues);
+    addIssueDetailButtons(container, issues);
 }
 
 
@@ -471,9 +618,9 @@ function displayIssues(issues, containerId) {
     1. User selects their interest in Module 1
     2. User selects their skill level in Module 2
 
-    script.js will:
-    - Call searchGitHubRepos(interest, token)
-    - Get back an array of repositories
+    github-listings.js will:
+    - Call searchGitHubRepos(interest, token, { filters, page })
+    - Get back { repos, hasMore }
     - Call displayRepos(repos, 'projects-list-1')
-    - The repos appear on the page!
+    - The repos appear on the page! (and "Load more" if hasMore)
 */
@@ -0,0 +1,452 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    GITHUB SIGN-IN - "Sign in with GitHub" (OAuth Device Flow)
+    ═══════════════════════════════════════════════════════════════
+
+    Creating a token by hand (settings → tokens → pick scopes → copy →
+    paste) is where most beginners get stuck. Signing in instead:
+
+    1. We ask GitHub for a short code, like "WDJB-MJHT"
+    2. The student opens github.com/login/device and types the code
+    3. They click "Authorize" on GitHub
+    4. Meanwhile we keep asking "are they done yet?" - and once they
+       are, GitHub hands us a token with exactly the scope we need
+       (public_repo), which goes into credentials.githubToken
+
+    Pasting a token by hand still works - it's the fallback if the
+    sign-in helper isn't running. Either way, the token is checked
+    with GitHub straight away (see CHECKING A TOKEN below).
+
+    KEY CONCEPTS:
+
+    1. OAUTH DEVICE FLOW:
+       - Made for devices without a keyboard (like a TV), but great
+         for beginners too: no token to copy, no scopes to pick
+       - The student never gives their password to US - they sign in
+         on github.com itself
+
+    2. WHY A PROXY?
+       - GitHub's sign-in endpoints (github.com/login/...) don't allow
+         requests from web pages (no CORS headers)
+       - So a tiny helper server (tools/github-oauth-proxy.js) passes
+         the two requests along. It holds the app's client ID and
+         never stores tokens
+       - Its address is set in platform-config.js (githubOAuthProxyUrl)
+
+    3. POLLING:
+       - GitHub tells us how often we may ask ("interval", usually 5s)
+       - "authorization_pending" = not done yet, keep waiting
+       - "slow_down" = asking too often, wait 5 seconds longer
+*/
+
+// Scopes that let the token fork repositories and open Pull Requests
+const GITHUB_SIGNIN_SCOPES = ['public_repo', 'repo'];
+
+// Changes every time sign-in starts or is cancelled, so an old
+// polling loop knows it should stop
+let githubSignInAttempt = 0;
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    TALKING TO THE SIGN-IN HELPER
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// POST to the sign-in helper and return its JSON answer
+async function postToOAuthProxy(path, body) {
+    const proxyUrl = PLATFORM_CONFIG.githubOAuthProxyUrl.replace(/\/$/, '');
+
+    let response;
+    try {
+        response = await fetch(`${proxyUrl}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    } catch (error) {
+        throw new GitHubNetworkError(`Could not reach the sign-in helper at ${proxyUrl}. Is it running? You can also paste a token below instead.`);
+    }
+
+    const data = await readGitHubBody(response);
+    if (!response.ok || !data) {
+        throw new GitHubError((data && data.error_description) || `The sign-in helper answered ${response.status}.`, response.status);
+    }
+
+    return data;
+}
+
+/*
+    Step 1: get a code for the student to type on GitHub.
+    RETURNS: { device_code, user_code, verification_uri, expires_in, interval }
+*/
+function requestGitHubDeviceCode() {
+    return postToOAuthProxy('/device/code', {});
+}
+
+/*
+    Step 2: keep asking until the student has authorized (or given up).
+    - attempt: githubSignInAttempt when this sign-in started
+    - onWaiting(secondsLeft): called before each wait, for the countdown
+
+    RETURNS: { access_token, scope, token_type }, or null if the sign-in was cancelled
+    THROWS: GitHubAuthError if the code expired or access was denied
+*/
+async function pollGitHubDeviceToken(deviceCode, attempt, onWaiting) {
+    let intervalMs = deviceCode.interval * 1000;
+    const expiresAt = Date.now() + deviceCode.expires_in * 1000;
+
+    while (Date.now() < expiresAt) {
+        onWaiting(Math.round((expiresAt - Date.now()) / 1000));
+        await waitMilliseconds(intervalMs);
+
+        if (attempt !== githubSignInAttempt) return null;  // Cancelled
+
+        const data = await postToOAuthProxy('/device/token', { device_code: deviceCode.device_code });
+
+        if (data.access_token) {
+            return data;
+        }
+
+        switch (data.error) {
+            case 'authorization_pending':
+                break;
+            case 'slow_down':
+                intervalMs = (data.interval || intervalMs / 1000 + 5) * 1000;
+                break;
+            case 'access_denied':
+                throw new GitHubAuthError('Sign-in was cancelled on GitHub. Click "Sign in with GitHub" to try again.', 401);
+            case 'expired_token':
+                throw new GitHubAuthError('The code expired before it was entered. Click "Sign in with GitHub" for a new one.', 401);
+            default:
+                throw new GitHubError(data.error_description || `GitHub sign-in failed: ${data.error}`, 400);
+        }
+    }
+
+    throw new GitHubAuthError('The code expired before it was entered. Click "Sign in with GitHub" for a new one.', 401);
+}
+
+// Does the new token have a scope that can fork and open PRs?
+function hasPullRequestScope(scopeText) {
+    const scopes = String(scopeText || '').split(/[\s,]+/);
+    return GITHUB_SIGNIN_SCOPES.some(scope => scopes.includes(scope));
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE SIGN-IN BUTTON
+    ═══════════════════════════════════════════════════════════════
+*/
+
+function updateGitHubSignInStatus(message, isError) {
+    const status = document.getElementById('github-signin-status');
+    status.textContent = message;
+    status.classList.toggle('error', Boolean(isError));
+}
+
+// "Sign in with GitHub" was clicked
+async function signInWithGitHub() {
+    const attempt = ++githubSignInAttempt;
+    const signInButton = document.getElementById('github-signin-btn');
+    const panel = document.getElementById('github-device-panel');
+
+    signInButton.disabled = true;
+    panel.style.display = 'block';
+    document.getElementById('github-device-code').textContent = '····-····';
+    updateGitHubSignInStatus('Asking GitHub for a sign-in code...');
+
+    try {
+        const deviceCode = await requestGitHubDeviceCode();
+        if (attempt !== githubSignInAttempt) return;
+
+        const link = document.getElementById('github-device-link');
+        link.href = safeUrl(deviceCode.verification_uri);
+        link.textContent = deviceCode.verification_uri.replace(/^https:\/\//, '');
+        document.getElementById('github-device-code').textContent = deviceCode.user_code;
+
+        const result = await pollGitHubDeviceToken(deviceCode, attempt, secondsLeft => {
+            updateGitHubSignInStatus(`⏳ Waiting for you to authorize on GitHub... (code expires in ${Math.ceil(secondsLeft / 60)} min)`);
+        });
+        if (!result) return;
+
+        if (!hasPullRequestScope(result.scope)) {
+            throw new GitHubScopeError(`GitHub gave a token without the public_repo scope (got "${result.scope || 'none'}"). Please try again and approve all requested permissions.`, 403);
+        }
+
+        // Signed in! Use the token exactly like a pasted one
+        credentials.githubToken = result.access_token;
+        const saved = await saveCredentials();
+
+        document.getElementById('github-token').value = result.access_token;
+        panel.style.display = 'none';
+        signInButton.textContent = '✅ Signed in with GitHub';
+
+        // Encrypted mode with no passphrase yet: the token is only in memory
+        if (!saved) {
+            document.getElementById('github-signin-note').textContent = '⚠️ Your token isn\'t saved yet - it\'s only kept until you close this page. Choose a passphrase below and click "Let\'s Start Learning!" to save it.';
+        }
+
+        // Find out who signed in (and fill in their username)
+        checkGitHubToken(result.access_token);
+
+    } catch (error) {
+        if (attempt !== githubSignInAttempt) return;
+
+        // Every error above already says what to do next
+        console.error('GitHub sign-in failed:', error.message);
+        updateGitHubSignInStatus(`❌ ${error.message}`, true);
+
+    } finally {
+        if (attempt === githubSignInAttempt) {
+            signInButton.disabled = false;
+        }
+    }
+}
+
+// "Cancel" was clicked: stop waiting (the code simply expires on GitHub)
+function cancelGitHubSignIn() {
+    githubSignInAttempt++;
+    document.getElementById('github-device-panel').style.display = 'none';
+    document.getElementById('github-signin-btn').disabled = false;
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    CHECKING A TOKEN (signed in or pasted)
+    ═══════════════════════════════════════════════════════════════
+
+    A wrong or under-powered token used to go unnoticed until Module 4,
+    when forking failed. Now we check it right away by asking GitHub
+    "who am I?" (GET /user) and reading the answer's headers:
+
+    - X-OAuth-Scopes: public_repo, read:user
+      What a classic token (or a sign-in token) is allowed to do
+    - GitHub-Authentication-Token-Expiration: 2026-11-01 12:00:00 UTC
+      When the token stops working (only if it has an expiry date)
+
+    KINDS OF TOKENS (you can tell by how they start):
+    - ghp_...         Classic personal access token - has scopes
+    - gho_...         From "Sign in with GitHub" - has scopes
+    - github_pat_...  Fine-grained token - has per-repository
+                      permissions instead of scopes, which GitHub
+                      doesn't list in the headers
+    - ghu_...         GitHub App token acting for you - only the
+                      permissions (and repositories) the app has
+    - ghs_...         GitHub App token acting as the APP, not as a
+                      person - it can't fork into your account at all
+
+    TOKENS WITHOUT SCOPES (fine-grained, ghu_):
+    - There's nothing in the headers to check, and the only sure test
+      would be to really fork and open a Pull Request. So we don't
+      guess: the student is told plainly that we can't verify it, and
+      which permissions Module 4 needs. The fork and PR steps do the
+      real check (and explain a 403 if it comes)
+*/
+
+// Warn when the token expires sooner than this
+const GITHUB_TOKEN_EXPIRY_WARNING_DAYS = 7;
+
+// Wait this long after the last keystroke before checking a pasted token
+const GITHUB_TOKEN_CHECK_DELAY_MS = 600;
+
+// Latest check: { token, status: 'checking' | 'valid' | 'invalid' | 'unknown', result }
+let githubTokenCheck = null;
+let githubTokenCheckTimer = null;
+
+// What Module 4 needs, for tokens that can't do it
+const GITHUB_TOKEN_REQUIREMENTS = 'Module 4 needs a token that acts as you and can fork public repositories and open Pull Requests on them: sign in with GitHub, or create a classic token (it starts with ghp_) with the "public_repo" scope.';
+
+// 'classic', 'oauth', 'fine-grained', 'app-user', 'app-installation'
+// or 'unknown' - from the token's prefix
+function getGitHubTokenType(token) {
+    if (token.startsWith('github_pat_')) return 'fine-grained';
+    if (token.startsWith('ghp_')) return 'classic';
+    if (token.startsWith('gho_')) return 'oauth';
+    if (token.startsWith('ghu_')) return 'app-user';
+    if (token.startsWith('ghs_')) return 'app-installation';
+    return 'unknown';
+}
+
+// Read "2026-11-01 12:00:00 UTC" (GitHub's format) into a Date
+function parseGitHubExpiration(value) {
+    if (!value) return null;
+
+    const date = new Date(value.replace(' UTC', 'Z').replace(' ', 'T'));
+    return isNaN(date) ? null : date;
+}
+
+/*
+    Ask GitHub about a token.
+
+    RETURNS: {
+        login,          The account the token belongs to, e.g. 'octocat'
+        tokenType,      See getGitHubTokenType
+        scopes,         ['public_repo', ...] (empty for tokens without scopes)
+        expiresAt,      Date, or null if it never expires
+        problems,       Things that will break the course (token unusable)
+        warnings        Things worth knowing (token still usable)
+    }
+    THROWS: GitHubAuthError if GitHub rejects the token, GitHubScopeError
+    if it may not even say who you are (ghs_ tokens), or another
+    GitHubError if GitHub couldn't be asked (offline...)
+*/
+async function validateGitHubToken(token) {
+    let response;
+    try {
+        response = await githubFetch('/user', { token: token });
+    } catch (error) {
+        if (error.kind !== 'scope') throw error;
+        throw new GitHubScopeError(`This token doesn't act as a GitHub account, so it can't fork anything for you. ${GITHUB_TOKEN_REQUIREMENTS}`, 403);
+    }
+
+    const scopesHeader = response.headers.get('X-OAuth-Scopes');
+    const scopes = scopesHeader ? scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean) : [];
+    const expiresAt = parseGitHubExpiration(response.headers.get('GitHub-Authentication-Token-Expiration'));
+
+    // The prefix tells most tokens apart; no scopes header at all = fine-grained
+    let tokenType = getGitHubTokenType(token);
+    if (tokenType === 'unknown' && scopesHeader === null) {
+        tokenType = 'fine-grained';
+    }
+
+    const result = {
+        login: response.data.login,
+        tokenType: tokenType,
+        scopes: scopes,
+        expiresAt: expiresAt,
+        problems: [],
+        warnings: []
+    };
+
+    if (scopesHeader === null) {
+        // No scopes to read - say what's needed instead (see above)
+        const upstream = `${PLATFORM_CONFIG.upstreamOwner}/${PLATFORM_CONFIG.upstreamRepo}`;
+        result.warnings.push(`GitHub doesn't list what this token may do, so we can't verify it can fork and open a Pull Request. Module 4 needs "Administration" and "Contents" set to "Read and write" on your own repositories, and permission to open Pull Requests on ${upstream}. To be sure, sign in with GitHub or use a classic token with the "public_repo" scope instead.`);
+    } else if (!hasPullRequestScope(scopes.join(' '))) {
+        result.problems.push(`This token is missing the "public_repo" scope (it has: ${scopes.length ? scopes.join(', ') : 'no scopes'}). Without it you can't fork or open your Pull Request - create a new token and tick "public_repo", or sign in with GitHub.`);
+    }
+
+    if (expiresAt) {
+        const daysLeft = (expiresAt - Date.now()) / (24 * 60 * 60 * 1000);
+        if (daysLeft < GITHUB_TOKEN_EXPIRY_WARNING_DAYS) {
+            result.warnings.push(`This token expires on ${expiresAt.toLocaleString()} - make sure you finish the course before then, or create a new one.`);
+        }
+    }
+
+    return result;
+}
+
+// Show the check's result under the token box
+function showGitHubTokenCheck(check) {
+    const box = document.getElementById('github-token-check');
+    const messages = [];
+
+    if (!check) {
+        box.style.display = 'none';
+        return;
+    }
+
+    if (check.status === 'checking') {
+        messages.push('⏳ Checking your token with GitHub...');
+    } else if (check.status === 'unknown') {
+        messages.push(`⚠️ Couldn't check your token right now. ${check.error} You can still continue.`);
+    } else if (check.status === 'invalid' && !check.result) {
+        messages.push(`❌ ${check.error}`);
+    } else {
+        const typeLabels = {
+            classic: 'classic token',
+            oauth: 'signed in with GitHub',
+            'fine-grained': 'fine-grained token',
+            'app-user': 'GitHub App token',
+            'app-installation': 'GitHub App installation token',
+            unknown: 'token'
+        };
+        const expiry = check.result.expiresAt ? `, expires ${check.result.expiresAt.toLocaleDateString()}` : '';
+
+        messages.push(`${check.status === 'valid' ? '✅' : '❌'} @${check.result.login} (${typeLabels[check.result.tokenType]}${expiry})`);
+        check.result.problems.forEach(problem => messages.push(`❌ ${problem}`));
+        check.result.warnings.forEach(warning => messages.push(`⚠️ ${warning}`));
+    }
+
+    box.className = `token-check ${check.status}`;
+    box.innerHTML = messages.map(message => `<p>${escapeHTML(message)}</p>`).join('');
+    box.style.display = 'block';
+}
+
+// Check a token and remember the result (checkSetupComplete uses it)
+async function checkGitHubToken(token) {
+    githubTokenCheck = { token: token, status: 'checking' };
+    showGitHubTokenCheck(githubTokenCheck);
+    checkSetupComplete();
+
+    let check;
+    try {
+        const result = await validateGitHubToken(token);
+        check = { token: token, status: result.problems.length ? 'invalid' : 'valid', result: result };
+    } catch (error) {
+        // A rejected (or powerless) token is a real problem; being offline isn't
+        const rejected = error.kind === 'auth' || error.kind === 'scope';
+        let message = getGitHubErrorHelp(error);
+        if (error.kind === 'auth') message = 'GitHub rejected this token - it may be mistyped, expired or deleted.';
+        if (error.kind === 'scope') message = error.message;
+
+        check = {
+            token: token,
+            status: rejected ? 'invalid' : 'unknown',
+            error: message
+        };
+    }
+
+    // Ignore the answer if the token was changed while we waited
+    if (!githubTokenCheck || githubTokenCheck.token !== token) return;
+
+    githubTokenCheck = check;
+    showGitHubTokenCheck(check);
+    checkSetupComplete();
+
+    // The token knows who you are - no more typos in the username
+    if (check.result) {
+        const previousLogin = userProgress.githubLogin;
+        userProgress.githubLogin = check.result.login;
+        saveProgress();
+        prefillGitHubUsername(previousLogin);
+    }
+}
+
+// The token box changed: check it once they stop typing
+function scheduleGitHubTokenCheck() {
+    const token = document.getElementById('github-token').value.trim();
+
+    clearTimeout(githubTokenCheckTimer);
+
+    if (!token) {
+        githubTokenCheck = null;
+        showGitHubTokenCheck(null);
+        return;
+    }
+
+    if (githubTokenCheck && githubTokenCheck.token === token) return;
+
+    githubTokenCheck = { token: token, status: 'checking' };
+    showGitHubTokenCheck(githubTokenCheck);
+    githubTokenCheckTimer = setTimeout(() => checkGitHubToken(token), GITHUB_TOKEN_CHECK_DELAY_MS);
+}
+
+// Is the token in the box known to be unusable? (null = not known to be bad)
+function getGitHubTokenProblem(token) {
+    if (!githubTokenCheck || githubTokenCheck.token !== token) return null;
+    if (githubTokenCheck.status === 'checking') return 'Checking your GitHub token...';
+    if (githubTokenCheck.status === 'invalid') return 'Please fix your GitHub token (see the message above)';
+    return null;
+}
+
+// Fill in the PR form's username from the token's account - unless the
+// student typed something else (previousLogin = what we filled in before)
+function prefillGitHubUsername(previousLogin) {
+    const input = document.getElementById('github-username');
+    if (input && userProgress.githubLogin && (!input.value || input.value === previousLogin)) {
+        input.value = userProgress.githubLogin;
+    }
+}
@@ -0,0 +1,379 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    GITHUB CLIENT - One Place for Every GitHub API Request
+    ═══════════════════════════════════════════════════════════════
+
+    github-api.js (searching) and script.js (the PR submission) both
+    talk to GitHub. Instead of each building its own fetch() call,
+    they all go through githubRequest() in this file, which:
+
+    1. Adds the token and the right headers
+    2. Keeps track of GitHub's rate limit (X-RateLimit-* headers)
+    3. Waits and tries again when GitHub is busy (403/429 rate limits
+       and - for requests that only read (GET/HEAD) - 5xx server errors)
+    4. Uses ETags so unchanged data doesn't count against the limit
+    5. Turns failures into TYPED errors, so the page can show a
+       helpful message ("your token expired") instead of "error 401"
+
+    KEY CONCEPTS:
+
+    1. RATE LIMITS:
+       - GitHub only allows so many requests per hour (5,000 with a
+         token, but only 30 per minute for searches!)
+       - Every response says how many are left:
+         X-RateLimit-Remaining: 4999
+         X-RateLimit-Reset: 1760860800   (when it refills, in seconds)
+
+    2. ETAGS ("Has this changed?"):
+       - GitHub sends an ETag (a fingerprint of the data) with responses
+       - Next time we send it back as If-None-Match
+       - If nothing changed, GitHub answers 304 Not Modified with no
+         data - we reuse our saved copy, and it doesn't use up the limit
+
+    3. ERROR CLASSES:
+       - class GitHubAuthError extends GitHubError = "a special kind of
+         GitHubError"
+       - error.kind says what went wrong: 'auth', 'scope', 'rate-limit',
+         'not-found', 'network' or 'request'
+       - getGitHubErrorHelp(error) turns that into advice for the student
+*/
+
+const GITHUB_API_BASE = 'https://api.github.com';
+
+// How often to retry a request GitHub was too busy for
+const GITHUB_MAX_RETRIES = 3;
+
+// Don't make the student wait longer than this for a retry
+// (a rate limit that resets in 40 minutes is reported, not waited out)
+const GITHUB_MAX_RETRY_WAIT_MS = 60000;
+
+// How many ETag'd responses to remember
+const GITHUB_ETAG_CACHE_SIZE = 100;
+
+// Latest rate limit info from GitHub's headers (see getGitHubRateLimit)
+let githubRateLimit = null;
+
+// 'token hash + url' → { etag, data } for conditional requests (a Map keeps
+// insertion order). The token is part of the key: a 304 must never hand
+// one account's data (like /user, or a private repository) to another
+const githubETagCache = new Map();
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    ERROR TYPES
+    ═══════════════════════════════════════════════════════════════
+*/
+
+class GitHubError extends Error {
+    constructor(message, status, kind) {
+        super(message);
+        this.name = 'GitHubError';
+        this.status = status;           // HTTP status (0 = never reached GitHub)
+        this.kind = kind || 'request';
+    }
+}
+
+// 401: the token is wrong, expired or revoked
+class GitHubAuthError extends GitHubError {
+    constructor(message, status) {
+        super(message, status, 'auth');
+        this.name = 'GitHubAuthError';
+    }
+}
+
+// 403: the token works, but isn't allowed to do this (missing scope/permission)
+class GitHubScopeError extends GitHubError {
+    constructor(message, status) {
+        super(message, status, 'scope');
+        this.name = 'GitHubScopeError';
+    }
+}
+
+// 403/429: too many requests - resetAt says when we can try again
+class GitHubRateLimitError extends GitHubError {
+    constructor(message, status, resetAt) {
+        super(message, status, 'rate-limit');
+        this.name = 'GitHubRateLimitError';
+        this.resetAt = resetAt;         // Date, or null if GitHub didn't say
+    }
+}
+
+// 404: no such user/repository/file (or it's private)
+class GitHubNotFoundError extends GitHubError {
+    constructor(message, status) {
+        super(message, status || 404, 'not-found');
+        this.name = 'GitHubNotFoundError';
+    }
+}
+
+// fetch() itself failed: offline, DNS problem, blocked by an extension...
+class GitHubNetworkError extends GitHubError {
+    constructor(message) {
+        super(message, 0, 'network');
+        this.name = 'GitHubNetworkError';
+    }
+}
+
+// Turn any error into a message a student can act on
+function getGitHubErrorHelp(error) {
+    switch (error && error.kind) {
+        case 'auth':
+            return 'GitHub rejected your token. It may have expired or been deleted - create a new one and enter it on the Home page.';
+        case 'scope':
+            return 'Your GitHub token isn\'t allowed to do this. Classic tokens need the "public_repo" scope; fine-grained tokens need access to public repositories.';
+        case 'rate-limit':
+            return error.resetAt
+                ? `GitHub's request limit was reached. Please try again after ${error.resetAt.toLocaleTimeString()}.`
+                : 'GitHub\'s request limit was reached. Please wait a minute and try again.';
+        case 'not-found':
+            return `${error.message} Check that the GitHub username and repository name are spelled correctly.`;
+        case 'network':
+            return 'Could not reach GitHub. Please check your internet connection and try again.';
+        default:
+            return error && error.message ? error.message : 'Something went wrong talking to GitHub.';
+    }
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    RATE LIMIT TRACKING
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Read the X-RateLimit-* headers from a response
+function updateGitHubRateLimit(response) {
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    if (remaining === null) return;
+
+    githubRateLimit = {
+        limit: Number(response.headers.get('X-RateLimit-Limit')),
+        remaining: Number(remaining),
+        resetAt: new Date(Number(response.headers.get('X-RateLimit-Reset')) * 1000),
+        resource: response.headers.get('X-RateLimit-Resource') || 'core'  // 'core', 'search'...
+    };
+}
+
+// Latest known rate limit: { limit, remaining, resetAt, resource } or null
+function getGitHubRateLimit() {
+    return githubRateLimit;
+}
+
+// Is this 403/429 a rate limit (rather than a permission problem)?
+function isGitHubRateLimited(response, message) {
+    if (response.status === 429) return true;
+    if (response.status !== 403) return false;
+
+    return response.headers.get('X-RateLimit-Remaining') === '0' ||
+        response.headers.get('Retry-After') !== null ||
+        /rate limit/i.test(message);
+}
+
+// How long to wait before retrying a rate-limited request (milliseconds)
+// GitHub either says Retry-After: <seconds>, or when the limit resets
+function getGitHubRetryDelay(response, attempt) {
+    const retryAfter = response.headers.get('Retry-After');
+    if (retryAfter !== null) {
+        return Number(retryAfter) * 1000;
+    }
+
+    const reset = response.headers.get('X-RateLimit-Reset');
+    if (reset !== null && response.headers.get('X-RateLimit-Remaining') === '0') {
+        return Math.max(0, Number(reset) * 1000 - Date.now());
+    }
+
+    // No hint from GitHub: back off 1s, 2s, 4s...
+    return 1000 * Math.pow(2, attempt);
+}
+
+function waitMilliseconds(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE REQUEST FUNCTION
+    ═══════════════════════════════════════════════════════════════
+
+    PARAMETERS:
+    - path: '/repos/owner/name' (or a full https://api.github.com URL)
+    - options:
+        token: GitHub token (optional for public data)
+        method: 'GET' (default), 'POST', 'PUT'...
+        body: An object - sent as JSON
+        allowStatuses: Error statuses that are NOT errors this time,
+                       e.g. [404] when "not there" is a normal answer
+        transport: Function to send the request with instead of fetch
+                   (practice mode uses mockGitHubFetch from mock-github.js)
+        etag: An ETag the caller saved itself (e.g. on an earlier visit).
+              If nothing changed since, the answer is a 304 with data = null
+
+    RETURNS: { status, data, headers, notModified }
+    - data = the parsed JSON (null if there's no body)
+    - notModified = true when GitHub said 304 and data is our saved copy
+      (or null, if the caller's own etag was the one that matched)
+
+    THROWS: One of the GitHubError types above
+*/
+async function githubFetch(path, options) {
+    const opts = options || {};
+    const method = (opts.method || 'GET').toUpperCase();
+    const url = path.startsWith('http') ? path : `${GITHUB_API_BASE}${path}`;
+
+    const headers = { 'Accept': 'application/vnd.github.v3+json' };
+    if (opts.token) {
+        headers['Authorization'] = `Bearer ${opts.token}`;
+    }
+    if (opts.body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    // Ask "has this changed since last time?" for GET requests we've seen before
+    const cacheKey = getGitHubETagCacheKey(url, opts.token);
+    const cached = method === 'GET' ? githubETagCache.get(cacheKey) : null;
+    const etag = opts.etag || (cached && cached.etag);
+    if (etag) {
+        headers['If-None-Match'] = etag;
+    }
+
+    const send = opts.transport || fetch;
+
+    for (let attempt = 0; ; attempt++) {
+        let response;
+        try {
+            response = await send(url, {
+                method: method,
+                headers: headers,
+                body: opts.body !== undefined ? JSON.stringify(opts.body) : undefined
+            });
+        } catch (error) {
+            throw new GitHubNetworkError(`Network error while contacting GitHub: ${error.message}`);
+        }
+
+        updateGitHubRateLimit(response);
+
+        // 304 = unchanged, use our saved copy
+        if (response.status === 304 && cached && cached.etag === etag) {
+            return { status: 200, data: cached.data, headers: response.headers, notModified: true };
+        }
+
+        // Unchanged since the caller's own copy - they already have the data
+        if (response.status === 304 && opts.etag) {
+            return { status: 304, data: null, headers: response.headers, notModified: true };
+        }
+
+        const data = await readGitHubBody(response);
+
+        if (response.ok || (opts.allowStatuses || []).includes(response.status)) {
+            const etag = response.headers.get('ETag');
+            if (method === 'GET' && response.ok && etag) {
+                rememberGitHubETag(cacheKey, etag, data);
+            }
+            return { status: response.status, data: data, headers: response.headers, notModified: false };
+        }
+
+        const message = (data && data.message) || `GitHub API error: ${response.status}`;
+        const rateLimited = isGitHubRateLimited(response, message);
+
+        /*
+            Busy or rate limited? Wait and try again (if the wait is reasonable)
+            - A rate-limited request was never run, so any request can be retried
+            - A 5xx can arrive AFTER GitHub already made the change, so only
+              requests that change nothing (GET/HEAD) are retried. Sending a
+              POST again could open a second Pull Request!
+        */
+        const safeToRepeat = method === 'GET' || method === 'HEAD';
+        if ((rateLimited || (response.status >= 500 && safeToRepeat)) && attempt < GITHUB_MAX_RETRIES) {
+            const delay = getGitHubRetryDelay(response, attempt);
+
+            if (delay <= GITHUB_MAX_RETRY_WAIT_MS) {
+                console.warn(`⏳ GitHub answered ${response.status} - retrying in ${Math.ceil(delay / 1000)}s...`);
+                await waitMilliseconds(delay);
+                continue;
+            }
+        }
+
+        throw createGitHubError(response, message, rateLimited, url);
+    }
+}
+
+// Same as githubFetch, but just returns the data
+async function githubRequest(path, options) {
+    const result = await githubFetch(path, options);
+    return result.data;
+}
+
+// Parse the JSON body (some responses, like 204, have none)
+async function readGitHubBody(response) {
+    try {
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Which cache entry a request uses - a hash of the token, so the key doesn't hold the secret
+// (hashText is in content-cache.js)
+function getGitHubETagCacheKey(url, token) {
+    return `${token ? hashText(token) : 'no-token'} ${url}`;
+}
+
+// Forget every saved response - called when the keys change (credential-store.js)
+function clearGitHubETagCache() {
+    githubETagCache.clear();
+}
+
+// Save a response's ETag (dropping the oldest when the cache is full)
+function rememberGitHubETag(cacheKey, etag, data) {
+    githubETagCache.delete(cacheKey);  // Re-adding moves it to the end (newest)
+    githubETagCache.set(cacheKey, { etag: etag, data: data });
+
+    if (githubETagCache.size > GITHUB_ETAG_CACHE_SIZE) {
+        githubETagCache.delete(githubETagCache.keys().next().value);
+    }
+}
+
+// Pick the right error type for a failed response
+function createGitHubError(response, message, rateLimited, url) {
+    if (rateLimited) {
+        const reset = response.headers.get('X-RateLimit-Reset');
+        return new GitHubRateLimitError(message, response.status, reset ? new Date(Number(reset) * 1000) : null);
+    }
+
+    switch (response.status) {
+        case 401: return new GitHubAuthError(message, 401);
+        case 403: return new GitHubScopeError(message, 403);
+        // GitHub's message is just "Not Found" - say WHAT wasn't found
+        case 404: return new GitHubNotFoundError(`GitHub couldn't find ${new URL(url).pathname}.`, 404);
+        default: return new GitHubError(message, response.status);
+    }
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    FILE CONTENTS (BASE64)
+    ═══════════════════════════════════════════════════════════════
+
+    The contents API sends and receives files as base64 (text made of
+    only 64 safe characters). atob()/btoa() only handle one byte per
+    character, so "Łukasz" or "李雷" on their own would be garbled (atob)
+    or throw (btoa). TextEncoder/TextDecoder turn text into UTF-8 bytes
+    and back, and the base64 step only ever sees bytes.
+*/
+
+// GitHub's base64 file content → text
+function decodeBase64Text(content) {
+    const binary = atob(String(content || '').replace(/\s/g, ''));
+    const bytes = Uint8Array.from(binary, character => character.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+}
+
+// Text → base64, for writing a file with the contents API
+function encodeBase64Text(text) {
+    const bytes = new TextEncoder().encode(text);
+    return btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''));
+}
@@ -0,0 +1,320 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    GITHUB LISTINGS - Filters, Sorting and "Load More"
+    ═══════════════════════════════════════════════════════════════
+
+    Module 1 lists popular projects and Module 2 lists good first
+    issues (see the "github" part of each module in curriculum.js).
+    Five results are a good start - but what if you only want Python
+    projects, or issues updated this month? This file adds:
+
+    1. FILTERS: language, minimum stars, label (issues only) and
+       "updated in the last N days"
+    2. SORTING: beginner-friendly first (repo-health.js - within each
+       batch of five) / most stars / recently updated for projects,
+       best match / most stars / recently updated / least comments
+       for issues
+    3. "LOAD MORE": the next five results, added under the others
+
+    The filters are saved in userProgress.listingFilters, so they're
+    still set next time you visit.
+
+    KEY CONCEPTS:
+
+    1. LISTING STATE:
+       - Each listing remembers what it has shown and which page
+         comes next (githubListings below)
+       - Changing a filter starts the listing over
+
+    2. STALE ANSWERS:
+       - Changing a filter while results are loading starts a NEW
+         listing. When the old request finishes, its answer is
+         thrown away (we check it still belongs to the current one)
+
+    3. data-* ATTRIBUTES:
+       - Each filter input has data-filter="language" (etc.), so ONE
+         loop can read or fill them all
+*/
+
+// What each listing starts with (also fixes anything odd in saved filters)
+const LISTING_FILTER_DEFAULTS = {
+    repos: { language: '', minStars: 0, updatedWithinDays: 0, sort: 'health' },
+    issues: { language: '', minStars: 0, label: '', updatedWithinDays: 0, sort: 'best' }
+};
+
+// [value, label] pairs for the "Sort by" menu
+const LISTING_SORT_OPTIONS = {
+    repos: [['health', '💚 Beginner-friendly first (per batch of 5)'], ['stars', '⭐ Most stars'], ['updated', '🕒 Recently updated']],
+    issues: [['best', '💡 Best match'], ['stars', '⭐ Most stars'], ['updated', '🕒 Recently updated'], ['comments', '💬 Least comments']]
+};
+
+// [days, label] pairs for the "Updated" menu (0 = any time)
+const LISTING_UPDATED_OPTIONS = [
+    [0, 'Any time'],
+    [7, 'In the last 7 days'],
+    [30, 'In the last 30 days'],
+    [90, 'In the last 90 days'],
+    [365, 'In the last year']
+];
+
+// Issues: how many search pages one "Load more" may fetch. If every issue on
+// them was taken, we stop there (each page is one search per label, and
+// GitHub only allows 30 searches a minute) - the next click looks further
+const LISTING_MAX_ISSUE_PAGES_PER_LOAD = 2;
+
+// Module number → { type, filters, page, items, queue, hasMore, loading }
+const githubListings = {};
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    FILTERS
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Saved filters → safe filters (anything missing or odd gets the default)
+function normalizeListingFilters(type, saved) {
+    const filters = Object.assign({}, LISTING_FILTER_DEFAULTS[type]);
+    const source = saved || {};
+
+    // Language names like "C++", "C#" or "Jupyter Notebook" - no quotes
+    if (typeof source.language === 'string' && /^[\w+#. -]{0,40}$/.test(source.language.trim())) {
+        filters.language = source.language.trim();
+    }
+
+    const minStars = Number(source.minStars);
+    if (Number.isInteger(minStars) && minStars >= 0) {
+        filters.minStars = minStars;
+    }
+
+    if ('label' in filters && typeof source.label === 'string') {
+        filters.label = source.label.replace(/"/g, '').trim().slice(0, 50);
+    }
+
+    const days = Number(source.updatedWithinDays);
+    if (LISTING_UPDATED_OPTIONS.some(([value]) => value === days)) {
+        filters.updatedWithinDays = days;
+    }
+
+    if (LISTING_SORT_OPTIONS[type].some(([value]) => value === source.sort)) {
+        filters.sort = source.sort;
+    }
+
+    return filters;
+}
+
+// The student's saved filters for 'repos' or 'issues'
+function getListingFilters(type) {
+    return normalizeListingFilters(type, (userProgress.listingFilters || {})[type]);
+}
+
+// The filter bar above a listing (built by course-renderer.js)
+function buildListingFiltersHTML(type, ids) {
+    const options = pairs => pairs
+        .map(([value, label]) => `<option value="${escapeHTML(value)}">${escapeHTML(label)}</option>`)
+        .join('');
+
+    const labelFilter = type === 'issues' ? `
+        <label>Label
+            <input type="text" data-filter="label" placeholder="e.g. documentation">
+        </label>
+    ` : '';
+
+    return `
+        <div id="${ids.githubFilters}" class="listing-filters">
+            <label>Language
+                <input type="text" data-filter="language" placeholder="Any language">
+            </label>
+            <label>Min. stars
+                <input type="number" data-filter="minStars" min="0" step="1" placeholder="0">
+            </label>
+            ${labelFilter}
+            <label>Updated
+                <select data-filter="updatedWithinDays">${options(LISTING_UPDATED_OPTIONS)}</select>
+            </label>
+            <label>Sort by
+                <select data-filter="sort">${options(LISTING_SORT_OPTIONS[type])}</select>
+            </label>
+        </div>
+    `;
+}
+
+// Put the saved filters in a module's filter bar
+function fillListingFilters(moduleNumber) {
+    const type = getCourseModule(moduleNumber).github.type;
+    const filters = getListingFilters(type);
+    const bar = document.getElementById(getModuleElementIds(moduleNumber).githubFilters);
+
+    bar.querySelectorAll('[data-filter]').forEach(input => {
+        const value = filters[input.dataset.filter];
+        input.value = input.dataset.filter === 'minStars' && value === 0 ? '' : value;
+    });
+}
+
+// A filter was changed: save the filters and start the listing over
+function changeListingFilters(moduleNumber) {
+    const type = getCourseModule(moduleNumber).github.type;
+    const bar = document.getElementById(getModuleElementIds(moduleNumber).githubFilters);
+
+    const entered = {};
+    bar.querySelectorAll('[data-filter]').forEach(input => {
+        entered[input.dataset.filter] = input.dataset.filter === 'minStars'
+            ? Number(input.value || 0)
+            : input.value;
+    });
+
+    userProgress.listingFilters = Object.assign({}, userProgress.listingFilters, {
+        [type]: normalizeListingFilters(type, entered)
+    });
+    saveProgress();
+    fillListingFilters(moduleNumber);  // Shows what was actually used
+
+    // Only reload if the listing is already on screen
+    if (githubListings[moduleNumber]) {
+        startGitHubListing(moduleNumber);
+    }
+}
+
+// Called once per module with a listing (script.js)
+function setupGitHubListing(moduleNumber) {
+    const ids = getModuleElementIds(moduleNumber);
+
+    fillListingFilters(moduleNumber);
+    document.getElementById(ids.githubFilters).querySelectorAll('[data-filter]').forEach(input => {
+        input.addEventListener('change', () => changeListingFilters(moduleNumber));
+    });
+
+    document.getElementById(ids.githubMore).addEventListener('click', () => loadMoreGitHubListing(moduleNumber));
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    LOADING
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Show a listing from the start (first page, current filters)
+function startGitHubListing(moduleNumber) {
+    const type = getCourseModule(moduleNumber).github.type;
+    const ids = getModuleElementIds(moduleNumber);
+
+    githubListings[moduleNumber] = {
+        type: type,
+        filters: getListingFilters(type),
+        page: 0,           // The last page fetched
+        items: [],         // What's on screen
+        queue: [],         // Issues only: ranked, not shown yet
+        hasMore: true,     // Does GitHub have another page?
+        loading: false
+    };
+
+    document.getElementById(ids.githubList).innerHTML = type === 'issues'
+        ? '<p class="loading">Searching for good first issues...</p>'
+        : '<p class="loading">Loading projects...</p>';
+
+    return loadMoreGitHubListing(moduleNumber);
+}
+
+// Issues: add the next few from the queue - fetching more pages when it runs out
+// RETURNS: How many issues were added (can be 0 if every one found was taken)
+async function loadMoreIssues(listing) {
+    const before = listing.items.length;
+    const wanted = before + ISSUE_RECOMMENDATION_COUNT;
+    const take = async () => {
+        const count = wanted - listing.items.length;
+        listing.items.push(...await takeIssuesWithoutOpenPRs(listing.queue, count, credentials.githubToken));
+    };
+
+    await take();
+
+    let pagesFetched = 0;
+    while (listing.items.length < wanted && listing.hasMore && pagesFetched < LISTING_MAX_ISSUE_PAGES_PER_LOAD) {
+        const result = await searchGoodFirstIssues(userProgress.interest, userProgress.skillLevel, credentials.githubToken, {
+            filters: listing.filters,
+            page: listing.page + 1
+        });
+        listing.page++;  // Only once it worked - a failed page is tried again
+        pagesFetched++;
+
+        // A later page can repeat an issue we already have
+        const seen = new Set([...listing.items, ...listing.queue].map(issue => issue.url));
+        listing.queue.push(...result.issues.filter(issue => !seen.has(issue.url)));
+        listing.hasMore = result.hasMore;
+
+        await take();
+    }
+
+    return listing.items.length - before;
+}
+
+// A short note above the listing (like displayGitHubErrorNote, without an error)
+function displayListingNote(containerId, message) {
+    const note = document.createElement('p');
+    note.className = 'github-error-note';
+    note.textContent = `ℹ️ ${message}`;
+    document.getElementById(containerId).prepend(note);
+}
+
+// "Load more" (and the first page): add the next results to the listing
+async function loadMoreGitHubListing(moduleNumber) {
+    const listing = githubListings[moduleNumber];
+    if (!listing || listing.loading) return;
+
+    const ids = getModuleElementIds(moduleNumber);
+    const moreButton = document.getElementById(ids.githubMore);
+    listing.loading = true;
+    moreButton.disabled = true;
+    moreButton.textContent = 'Loading...';
+
+    let failure = null;
+    let added = null;  // Issues only: how many this click found
+    try {
+        if (listing.type === 'issues') {
+            added = await loadMoreIssues(listing);
+        } else {
+            const result = await searchGitHubRepos(userProgress.interest, credentials.githubToken, {
+                filters: listing.filters,
+                page: listing.page + 1
+            });
+            listing.page++;
+            listing.items.push(...result.repos);
+            listing.hasMore = result.hasMore;
+        }
+    } catch (error) {
+        console.error(`Error fetching ${listing.type}:`, error);
+        failure = error;
+    }
+
+    // The filters changed while we were waiting - a newer listing took over
+    if (githubListings[moduleNumber] !== listing) return;
+
+    listing.loading = false;
+    moreButton.disabled = false;
+    moreButton.textContent = '⬇️ Load more';
+
+    // Nothing shown yet? Show example data instead (see github-api.js)
+    if (failure && listing.items.length === 0) {
+        listing.hasMore = false;
+        listing.queue = [];
+        if (listing.type === 'issues') {
+            displayIssues(getFallbackIssues(userProgress.interest), ids.githubList);
+        } else {
+            displayRepos(getFallbackRepos(userProgress.interest), ids.githubList);
+        }
+        displayGitHubErrorNote(failure, ids.githubList);
+    } else {
+        if (listing.type === 'issues') {
+            displayIssues(listing.items, ids.githubList);
+        } else {
+            displayRepos(listing.items, ids.githubList);
+        }
+        if (failure) {
+            displayGitHubErrorNote(failure, ids.githubList, 'Try "Load more" again in a moment.');
+        } else if (added === 0 && listing.hasMore) {
+            displayListingNote(ids.githubList, 'Every issue on the last few pages was already taken. Press "Load more" to keep looking.');
+        }
+    }
+
+    moreButton.style.display = listing.queue.length > 0 || listing.hasMore ? 'inline-block' : 'none';
+}
@@ -0,0 +1,311 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    ISSUE RANKING - Picking the Best First Issues For YOU
+    ═══════════════════════════════════════════════════════════════
+
+    "The 5 newest issues labeled good-first-issue" are often bad
+    picks: someone is already working on them, a Pull Request is
+    already open, or the project hasn't been touched in years.
+
+    So searchGoodFirstIssues() (github-api.js) fetches a bigger pile
+    of candidates and hands them to rankGoodFirstIssues(), which:
+
+    1. DROPS issues nobody should start on:
+       - Assigned to someone (they're taken)
+       - Locked (nobody can comment)
+       - In archived projects (they can't accept Pull Requests)
+       - With an open Pull Request linked to them (someone's on it)
+    2. SCORES the rest (higher = better, 100 at most):
+       - Language matches your interest     up to 30
+       - The project is active              up to 25
+       - Few comments (not crowded)         up to 15
+       - Recently opened                    up to 15
+       - Clear beginner label               up to 15
+    3. SORTS them - best score first, unless the student picked
+       another order ("Recently updated", "Least comments", "Most stars")
+    4. Shows a few at a time (takeIssuesWithoutOpenPRs) - each with
+       the REASONS it was picked, shown as "Why this issue?"
+
+    KEY CONCEPTS:
+
+    1. PIPELINE:
+       - Data flows through small steps: filter → look up → score →
+         sort → check. Each step is easy to understand (and change!)
+
+    2. Promise.all():
+       - Looks up many repositories AT THE SAME TIME instead of one
+         after another - much faster
+*/
+
+// How many issues to fetch at a time, and how many to show at a time
+const ISSUE_CANDIDATE_COUNT = 30;
+const ISSUE_RECOMMENDATION_COUNT = 5;
+
+// Languages that fit each interest ('exploring' = any language)
+const ISSUE_INTEREST_LANGUAGES = {
+    'game-development': ['C#', 'C++', 'GDScript', 'Rust', 'Lua', 'JavaScript', 'TypeScript'],
+    'web-development': ['JavaScript', 'TypeScript', 'HTML', 'CSS', 'Vue', 'Svelte', 'PHP', 'Ruby'],
+    'data-science': ['Python', 'Jupyter Notebook', 'R', 'Julia'],
+    'mobile-apps': ['Kotlin', 'Swift', 'Java', 'Dart', 'Objective-C', 'JavaScript', 'TypeScript'],
+    'devops': ['Go', 'Shell', 'Python', 'HCL', 'Dockerfile', 'Rust'],
+    'exploring': []
+};
+
+// Labels that say "a beginner can do this", best first
+const ISSUE_BEGINNER_LABELS = [
+    { pattern: /good[\s-]*first[\s-]*issue|first[\s-]*timers?[\s-]*only/i, points: 15 },
+    { pattern: /beginner|easy|starter/i, points: 10 },
+    { pattern: /help[\s-]*wanted/i, points: 5 }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    STEP 1: IS THE ISSUE AVAILABLE?
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Open to a newcomer? (not assigned, not locked, and not a Pull Request itself)
+function isIssueAvailable(issue) {
+    const assigned = Boolean(issue.assignee) || (issue.assignees || []).length > 0;
+    return !assigned && !issue.locked && !issue.pull_request;
+}
+
+// 'https://api.github.com/repos/owner/name' → 'owner/name'
+function getIssueRepoName(issue) {
+    return issue.repository_url.split('/').slice(-2).join('/');
+}
+
+/*
+    Does an OPEN Pull Request mention this issue? (GitHub's timeline
+    lists "cross-referenced" events - a PR that says "Fixes #12")
+    If the timeline can't be read, we assume no: better to show the
+    issue than to hide it for the wrong reason.
+*/
+async function hasOpenLinkedPullRequest(repoName, issueNumber, token) {
+    try {
+        const events = await githubRequest(`/repos/${repoName}/issues/${issueNumber}/timeline?per_page=100`, { token: token });
+
+        return (events || []).some(event =>
+            event.event === 'cross-referenced' &&
+            event.source && event.source.issue &&
+            event.source.issue.pull_request &&
+            event.source.issue.state === 'open'
+        );
+    } catch (error) {
+        console.warn(`⚠️ Couldn't check ${repoName}#${issueNumber} for linked Pull Requests:`, error.message);
+        return false;
+    }
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    STEP 2: LOOK UP THE PROJECTS
+    ═══════════════════════════════════════════════════════════════
+
+    Search results don't say which language a project uses or when
+    it was last changed - so we ask once per project.
+
+    RETURNS: Map of 'owner/name' → { language, stars, pushedAt, archived }
+             (or null if the project couldn't be looked up)
+*/
+async function fetchIssueRepos(repoNames, token) {
+    const lookups = repoNames.map(async name => {
+        try {
+            const repo = await githubRequest(`/repos/${name}`, { token: token });
+            return [name, {
+                language: repo.language,
+                stars: repo.stargazers_count,
+                pushedAt: new Date(repo.pushed_at),
+                archived: repo.archived
+            }];
+        } catch (error) {
+            console.warn(`⚠️ Couldn't look up ${name}:`, error.message);
+            return [name, null];
+        }
+    });
+
+    return new Map(await Promise.all(lookups));
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    STEP 3: SCORE EACH ISSUE
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// 3 → '3 days', 1 → '1 day'
+function formatDays(days) {
+    return days === 1 ? '1 day' : `${days} days`;
+}
+
+/*
+    PARAMETERS:
+    - issue: An issue from GitHub's search
+    - repo: Its project from fetchIssueRepos() (or null)
+    - interest: userProgress.interest
+    - now: The current time (a Date)
+
+    RETURNS: { score, reasons } - reasons are sentences for the student
+*/
+function scoreIssue(issue, repo, interest, now) {
+    let score = 0;
+    const reasons = [];
+
+    // Language match
+    const languages = ISSUE_INTEREST_LANGUAGES[interest] || [];
+    if (repo && repo.language && languages.includes(repo.language)) {
+        score += 30;
+        reasons.push(`Written in ${repo.language}, which fits your interest`);
+    } else if (languages.length === 0) {
+        score += 15;  // Exploring: every language is a fine match
+    }
+
+    // Project activity (when code was last pushed)
+    if (repo) {
+        const idleDays = Math.floor((now - repo.pushedAt) / DAY_MS);
+        if (idleDays <= 7) {
+            score += 25;
+            reasons.push('The project is very active (updated this week)');
+        } else if (idleDays <= 30) {
+            score += 18;
+            reasons.push('The project was updated this month');
+        } else if (idleDays <= 90) {
+            score += 8;
+        }
+    }
+
+    // Comments: none yet = nobody has claimed it
+    if (issue.comments === 0) {
+        score += 15;
+        reasons.push('No comments yet - you could be the first');
+    } else if (issue.comments <= 3) {
+        score += 10;
+        reasons.push(`Only ${issue.comments} comment${issue.comments === 1 ? '' : 's'} so far`);
+    } else if (issue.comments <= 10) {
+        score += 4;
+    }
+
+    // Age: fresh issues are still relevant
+    const ageDays = Math.floor((now - new Date(issue.created_at)) / DAY_MS);
+    if (ageDays <= 30) {
+        score += 15;
+        reasons.push(`Opened ${ageDays === 0 ? 'today' : `${formatDays(ageDays)} ago`}`);
+    } else if (ageDays <= 90) {
+        score += 10;
+    } else if (ageDays <= 365) {
+        score += 5;
+    }
+
+    // Label quality: the best beginner label it has
+    const labelNames = issue.labels.map(label => label.name);
+    const bestLabel = ISSUE_BEGINNER_LABELS.find(rule => labelNames.some(name => rule.pattern.test(name)));
+    if (bestLabel) {
+        const name = labelNames.find(label => bestLabel.pattern.test(label));
+        score += bestLabel.points;
+        reasons.push(`Labeled "${name}" by the maintainers`);
+    }
+
+    return { score: score, reasons: reasons };
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE WHOLE PIPELINE
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// The orders the student can pick (the "Sort by" menu)
+// "Most stars" sorts the fetched candidates by their project's stars -
+// GitHub's issue search can't sort by stars (see searchGoodFirstIssues)
+const ISSUE_SORT_ORDERS = {
+    best: (a, b) => b.score - a.score,
+    stars: (a, b) => b.stars - a.stars || b.score - a.score,
+    updated: (a, b) => new Date(b.issue.updated_at) - new Date(a.issue.updated_at),
+    comments: (a, b) => a.issue.comments - b.issue.comments || b.score - a.score
+};
+
+/*
+    PARAMETERS:
+    - items: Issues from GitHub's search (data.items)
+    - interest: userProgress.interest
+    - token: GitHub token
+    - filters (optional): { minStars, sort } from github-listings.js
+
+    RETURNS: The available issues in the chosen order:
+    { title, repo, number, url, labels, createdAt, comments, score, reasons }
+*/
+async function rankGoodFirstIssues(items, interest, token, filters) {
+    const opts = filters || {};
+
+    // 1. Drop issues that are taken or locked
+    const available = items.filter(isIssueAvailable);
+
+    // 2. Look up each project once
+    const repoNames = [...new Set(available.map(getIssueRepoName))];
+    const repos = await fetchIssueRepos(repoNames, token);
+
+    // Archived projects can't take Pull Requests; too-small ones were filtered out
+    const isWanted = repo => !repo || (!repo.archived && !(opts.minStars > 0 && repo.stars < opts.minStars));
+
+    // 3. Score and sort
+    const now = new Date();
+    const scored = available
+        .filter(issue => isWanted(repos.get(getIssueRepoName(issue))))
+        .map(issue => {
+            const repoName = getIssueRepoName(issue);
+            const repo = repos.get(repoName);
+            const rating = scoreIssue(issue, repo, interest, now);
+            return {
+                issue: issue,
+                repoName: repoName,
+                stars: repo ? repo.stars : 0,  // Couldn't look it up = sorted last by stars
+                score: rating.score,
+                reasons: rating.reasons
+            };
+        })
+        .sort(ISSUE_SORT_ORDERS[opts.sort] || ISSUE_SORT_ORDERS.best);
+
+    return scored.map(candidate => ({
+        title: candidate.issue.title,
+        repo: candidate.repoName,
+        number: candidate.issue.number,
+        url: candidate.issue.html_url,
+        labels: candidate.issue.labels.map(label => label.name),
+        createdAt: new Date(candidate.issue.created_at).toLocaleDateString(),
+        comments: candidate.issue.comments,
+        score: candidate.score,
+        reasons: candidate.reasons
+    }));
+}
+
+/*
+    4. Take the next issues to show from a ranked list, skipping the
+    ones that already have an open Pull Request. Checked one by one,
+    only as many as we need (each check is a request to GitHub).
+
+    PARAMETERS:
+    - queue: Ranked issues (from rankGoodFirstIssues) - taken issues
+      are REMOVED from it, so the next call continues where this stopped
+    - count: How many to take
+    - token: GitHub token
+
+    RETURNS: Up to count issues
+*/
+async function takeIssuesWithoutOpenPRs(queue, count, token) {
+    const picked = [];
+
+    while (picked.length < count && queue.length > 0) {
+        const issue = queue.shift();
+        if (!(await hasOpenLinkedPullRequest(issue.repo, issue.number, token))) {
+            picked.push(issue);
+        }
+    }
+
+    return picked;
+}
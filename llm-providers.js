@@ -0,0 +1,459 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    LLM PROVIDERS - Pluggable AI Backends
+    ═══════════════════════════════════════════════════════════════
+
+    This file lets the platform talk to DIFFERENT AI services through
+    one shared function: callLLM(prompt, settings).
+
+    SUPPORTED PROVIDERS:
+    - gemini = Google Gemini (the default, free API key from AI Studio)
+    - openai = Any "OpenAI-compatible" chat endpoint (OpenAI, Groq,
+               OpenRouter, LM Studio, llama.cpp server, vLLM...)
+    - ollama = A local Ollama server - perfect for offline classrooms!
+
+    KEY CONCEPTS:
+
+    1. ADAPTERS:
+       - Every AI service speaks a slightly different "language" (URL,
+         request body, response shape)
+       - An adapter translates our simple prompt into that language
+       - Like a travel plug adapter: same device, different sockets
+
+    2. SETTINGS OBJECT:
+       - provider = which adapter to use ('gemini', 'openai', 'ollama')
+       - model    = which model to ask (empty = the provider's default)
+       - baseUrl  = where the server lives (empty = the provider's default)
+       - apiKey   = the key for that service (not needed for local models)
+
+    3. STREAMING:
+       - Instead of waiting for the WHOLE answer, the server sends it in
+         small pieces as the AI writes it
+       - streamLLM(prompt, settings, onText, signal) calls onText(piece)
+         for every piece, so the page can show text as it arrives
+       - signal (from an AbortController) lets the user press "Stop"
+
+    4. JSON MODE:
+       - callLLM(prompt, settings, { json: true }) asks the provider to
+         answer with JSON only (no chatty "Sure! Here you go:")
+       - Used for quiz questions, which the code has to read
+       - We STILL check the result - JSON mode makes mistakes rarer,
+         not impossible
+*/
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    PROVIDER ADAPTERS
+    ═══════════════════════════════════════════════════════════════
+
+    Each adapter has:
+    - label: Name shown in the provider dropdown
+    - defaultModel / defaultBaseUrl: Used when the user leaves them blank
+    - requiresApiKey: Whether "Let's Start Learning!" needs a key
+    - keyPlaceholder: Hint text for the API key input
+    - generate(prompt, settings, options): Sends the prompt, returns the text
+      (options.json = true asks for a JSON-only answer)
+    - stream(prompt, settings, onText, signal): Same, but piece by piece
+*/
+const LLM_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        defaultModel: 'gemini-2.5-flash',
+        defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+        requiresApiKey: true,
+        keyPlaceholder: 'AIza...',
+
+        async generate(prompt, settings, options) {
+            const url = `${settings.baseUrl}/models/${settings.model}:generateContent?key=${settings.apiKey}`;
+
+            const body = {
+                contents: [{
+                    parts: [{ text: prompt }]
+                }]
+            };
+
+            if (options.json) {
+                body.generationConfig = { responseMimeType: 'application/json' };
+            }
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+
+            const data = await readLLMResponse(response, this.label);
+
+            // Extract the text from Gemini's response (or say why there isn't any)
+            checkGeminiBlock(data, this.label);
+            const candidate = data.candidates && data.candidates[0];
+            const parts = (candidate && candidate.content && candidate.content.parts) || [];
+            const text = parts.map(part => part.text || '').join('');
+
+            if (!text) {
+                const reason = candidate && candidate.finishReason;
+                throw new Error(`${this.label} sent back no text${reason ? ` (finish reason: ${reason})` : ''}.`);
+            }
+            return text;
+        },
+
+        async stream(prompt, settings, onText, signal) {
+            // alt=sse asks Gemini for "Server-Sent Events" (one JSON chunk per "data:" line)
+            const url = `${settings.baseUrl}/models/${settings.model}:streamGenerateContent?alt=sse&key=${settings.apiKey}`;
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    contents: [{
+                        parts: [{ text: prompt }]
+                    }]
+                }),
+                signal: signal
+            });
+
+            await checkLLMResponse(response, this.label);
+
+            await readServerSentEvents(response, data => {
+                checkGeminiBlock(data, this.label);
+                const candidate = data.candidates && data.candidates[0];
+                const parts = (candidate && candidate.content && candidate.content.parts) || [];
+                parts.forEach(part => {
+                    if (part.text) onText(part.text);
+                });
+            });
+        }
+    },
+
+    openai: {
+        label: 'OpenAI-compatible',
+        defaultModel: 'gpt-4o-mini',
+        defaultBaseUrl: 'https://api.openai.com/v1',
+        requiresApiKey: false,  // Hosted services need one, local servers usually don't
+        keyPlaceholder: 'sk-... (leave empty for local servers)',
+
+        async generate(prompt, settings, options) {
+            const headers = { 'Content-Type': 'application/json' };
+
+            // Only send the key if there is one (local servers reject empty Bearer tokens)
+            if (settings.apiKey) {
+                headers['Authorization'] = `Bearer ${settings.apiKey}`;
+            }
+
+            const body = {
+                model: settings.model,
+                messages: [{ role: 'user', content: prompt }]
+            };
+
+            if (options.json) {
+                body.response_format = { type: 'json_object' };
+            }
+
+            const response = await fetch(`${settings.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(body)
+            });
+
+            const data = await readLLMResponse(response, this.label);
+
+            // OpenAI-style responses put the text in choices[0].message.content
+            return readOpenAIText(data, this.label);
+        },
+
+        async stream(prompt, settings, onText, signal) {
+            const headers = { 'Content-Type': 'application/json' };
+
+            if (settings.apiKey) {
+                headers['Authorization'] = `Bearer ${settings.apiKey}`;
+            }
+
+            const response = await fetch(`${settings.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify({
+                    model: settings.model,
+                    messages: [{ role: 'user', content: prompt }],
+                    stream: true
+                }),
+                signal: signal
+            });
+
+            await checkLLMResponse(response, this.label);
+
+            // Each event has the NEW text in choices[0].delta.content
+            await readServerSentEvents(response, data => {
+                const choice = data.choices && data.choices[0];
+                if (choice && choice.delta && choice.delta.content) {
+                    onText(choice.delta.content);
+                }
+            });
+        }
+    },
+
+    ollama: {
+        label: 'Local model (Ollama)',
+        defaultModel: 'llama3.2',
+        defaultBaseUrl: 'http://localhost:11434',
+        requiresApiKey: false,
+        keyPlaceholder: 'Not needed for Ollama',
+
+        async generate(prompt, settings, options) {
+            const body = {
+                model: settings.model,
+                prompt: prompt,
+                stream: false  // Ask for one complete answer instead of pieces
+            };
+
+            if (options.json) {
+                body.format = 'json';
+            }
+
+            const response = await fetch(`${settings.baseUrl}/api/generate`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(body)
+            });
+
+            const data = await readLLMResponse(response, this.label);
+
+            return data.response;
+        },
+
+        async stream(prompt, settings, onText, signal) {
+            const response = await fetch(`${settings.baseUrl}/api/generate`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    model: settings.model,
+                    prompt: prompt,
+                    stream: true
+                }),
+                signal: signal
+            });
+
+            await checkLLMResponse(response, this.label);
+
+            // Ollama streams one JSON object per line (no "data:" prefix)
+            await readStreamLines(response, line => {
+                if (!line) return;
+
+                const data = JSON.parse(line);
+                if (data.error) {
+                    throw new Error(`${this.label} error: ${data.error}`);
+                }
+                if (data.response) {
+                    onText(data.response);
+                }
+            });
+        }
+    }
+};
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    HELPER FUNCTIONS
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Look up an adapter by id (falls back to Gemini for unknown/missing ids)
+function getLLMProvider(providerId) {
+    return LLM_PROVIDERS[providerId] || LLM_PROVIDERS.gemini;
+}
+
+// Fill in blank settings with the provider's defaults
+function resolveLLMSettings(settings) {
+    const providerId = LLM_PROVIDERS[settings.provider] ? settings.provider : 'gemini';
+    const provider = LLM_PROVIDERS[providerId];
+
+    return {
+        provider: providerId,
+        model: (settings.model || '').trim() || provider.defaultModel,
+        // Remove trailing slashes so we can safely add "/api/generate" etc.
+        baseUrl: ((settings.baseUrl || '').trim() || provider.defaultBaseUrl).replace(/\/+$/, ''),
+        apiKey: (settings.apiKey || '').trim()
+    };
+}
+
+// Throw a helpful error if the HTTP status isn't 200-299
+// Includes the server's own error message when it sends one
+async function checkLLMResponse(response, providerLabel) {
+    if (!response.ok) {
+        let detail = '';
+        try {
+            const errorData = await response.json();
+            const error = errorData && errorData.error;
+
+            // { error: 'text' }, { error: { message: 'text' } } - or some other object
+            if (typeof error === 'string') {
+                detail = error;
+            } else if (error && typeof error.message === 'string') {
+                detail = error.message;
+            } else if (error) {
+                detail = JSON.stringify(error);  // Not "[object Object]"
+            }
+        } catch (parseError) {
+            // Body wasn't JSON - the status code will have to do
+        }
+
+        detail = detail || response.statusText;
+        throw new Error(`${providerLabel} API error: ${response.status}${detail ? ` - ${detail}` : ''}`);
+    }
+}
+
+/*
+    Gemini can refuse to answer (its safety filters) with a normal
+    200 response: no candidates and a promptFeedback.blockReason, or a
+    candidate that stopped with finishReason 'SAFETY' and no text.
+    Throw a readable error instead of failing on the missing text.
+*/
+const GEMINI_BLOCK_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII'];
+
+function checkGeminiBlock(data, providerLabel) {
+    const feedback = data.promptFeedback;
+    if (feedback && feedback.blockReason) {
+        throw new Error(`${providerLabel} blocked this request (reason: ${feedback.blockReason}).`);
+    }
+
+    const candidate = data.candidates && data.candidates[0];
+    if (candidate && GEMINI_BLOCK_REASONS.includes(candidate.finishReason)) {
+        throw new Error(`${providerLabel} stopped its answer (reason: ${candidate.finishReason}).`);
+    }
+}
+
+/*
+    OpenAI-compatible servers can answer 200 without any text too: an
+    empty choices list, finish_reason 'content_filter' (content: null)
+    or a message.refusal. Same idea as checkGeminiBlock.
+    RETURNS: The answer's text
+*/
+function readOpenAIText(data, providerLabel) {
+    const choice = data && data.choices && data.choices[0];
+    const message = choice && choice.message;
+
+    if (message && message.refusal) {
+        throw new Error(`${providerLabel} refused this request: ${message.refusal}`);
+    }
+    if (!message || !message.content) {
+        const reason = choice && choice.finish_reason;
+        throw new Error(`${providerLabel} sent back no text${reason ? ` (finish reason: ${reason})` : ''}.`);
+    }
+
+    return message.content;
+}
+
+// Check the HTTP status and turn the body into JSON
+async function readLLMResponse(response, providerLabel) {
+    await checkLLMResponse(response, providerLabel);
+    return response.json();
+}
+
+/*
+    READING A STREAM:
+    response.body is a ReadableStream of raw bytes.
+    - reader.read() gives us the next chunk of bytes
+    - TextDecoder turns bytes into text
+    - A chunk can end in the MIDDLE of a line, so we keep the
+      unfinished part in "buffer" until the rest arrives
+*/
+async function readStreamLines(response, onLine) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+
+        // Everything before the last newline is complete
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(line => onLine(line.trim()));
+    }
+
+    // Whatever is left after the stream closes
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+        onLine(buffer.trim());
+    }
+}
+
+// Server-Sent Events: we only care about "data: {...}" lines
+// OpenAI-style servers send "data: [DONE]" when they're finished
+async function readServerSentEvents(response, onData) {
+    await readStreamLines(response, line => {
+        if (!line.startsWith('data:')) return;
+
+        const payload = line.slice(5).trim();
+        if (!payload || payload === '[DONE]') return;
+
+        onData(JSON.parse(payload));
+    });
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    MAIN ENTRY POINT
+    ═══════════════════════════════════════════════════════════════
+
+    script.js calls this (through callGeminiAPI) for every module.
+
+    PARAMETERS:
+    - prompt: The text to send to the AI
+    - settings: { provider, model, baseUrl, apiKey }
+    - options: (optional) { json: true } for a JSON-only answer
+
+    RETURNS:
+    - The AI's answer as a string (parse it yourself in JSON mode)
+*/
+async function callLLM(prompt, settings, options) {
+    const resolved = resolveLLMSettings(settings);
+    const provider = LLM_PROVIDERS[resolved.provider];
+
+    if (provider.requiresApiKey && !resolved.apiKey) {
+        throw new Error(`No ${provider.label} API key found`);
+    }
+
+    return provider.generate(prompt, resolved, options || {});
+}
+
+/*
+    STREAMING ENTRY POINT
+
+    PARAMETERS:
+    - prompt, settings: Same as callLLM
+    - onText: Called with each new piece of text as it arrives
+    - signal: AbortSignal - aborting it stops the download
+
+    RETURNS:
+    - The complete text (everything passed to onText, joined together)
+*/
+async function streamLLM(prompt, settings, onText, signal) {
+    const resolved = resolveLLMSettings(settings);
+    const provider = LLM_PROVIDERS[resolved.provider];
+
+    if (provider.requiresApiKey && !resolved.apiKey) {
+        throw new Error(`No ${provider.label} API key found`);
+    }
+
+    let fullText = '';
+    await provider.stream(prompt, resolved, piece => {
+        fullText += piece;
+        onText(piece);
+    }, signal);
+
+    return fullText;
+}
@@ -0,0 +1,347 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    MARKDOWN RENDERER - Safe HTML from AI and GitHub Text
+    ═══════════════════════════════════════════════════════════════
+
+    AI models answer in Markdown (**bold**, # headings, - lists...).
+    GitHub repo descriptions and issue titles are written by strangers.
+    Both end up on our page, so this file turns them into SAFE HTML.
+
+    KEY CONCEPTS:
+
+    1. MARKDOWN:
+       - A simple way to format text with symbols
+       - **bold** becomes <strong>bold</strong>
+       - # Title becomes <h1>Title</h1>
+       - - item becomes a bullet point
+
+    2. HTML INJECTION (XSS):
+       - If we put untrusted text straight into innerHTML, any <script>
+         or <img onerror="..."> inside it becomes REAL HTML on our page
+       - Anyone can open a GitHub issue titled <img src=x onerror=alert(1)>!
+       - escapeHTML() turns < > & " ' into harmless text (&lt; etc.)
+
+    3. ALLOW-LIST SANITIZER:
+       - Instead of trying to block every dangerous tag (a "deny-list"),
+         we only KEEP tags and attributes we know are safe
+       - Everything else is removed or unwrapped to plain text
+       - Links are only kept if they use http(s) or mailto
+         (no "javascript:" links!)
+
+    FUNCTIONS YOU'LL USE:
+    - escapeHTML(text): Plain text, no formatting at all
+    - renderInlineMarkdown(text): One line (bold, code, links) - for titles
+    - renderMarkdown(text): Full documents (headings, lists, code blocks)
+    - sanitizeHTML(html): Clean up HTML we built ourselves before showing it
+*/
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    ALLOW-LIST
+    ═══════════════════════════════════════════════════════════════
+
+    Tag name → attributes that tag may keep.
+    "class" is allowed on every tag (so our CSS still works).
+*/
+const SANITIZER_ALLOWED_TAGS = {
+    A: ['href', 'title', 'target', 'rel'],
+    P: [], BR: [], HR: [],
+    H1: [], H2: [], H3: [], H4: [], H5: [], H6: [],
+    UL: [], OL: [], LI: [],
+    STRONG: [], EM: [], DEL: [], CODE: [], PRE: [], BLOCKQUOTE: [],
+    DIV: [], SPAN: []
+};
+
+// These are removed together with everything inside them
+const SANITIZER_DROP_WITH_CONTENT = ['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'TEMPLATE', 'NOSCRIPT'];
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    ESCAPING AND URL CHECKS
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Turn special characters into HTML entities so they show up as text
+function escapeHTML(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Only allow links that start with http://, https:// or mailto:
+// Returns the URL if it's safe, or '' if it isn't
+function safeUrl(url) {
+    // Browsers ignore spaces/control characters inside "java script:" - so do we
+    const cleaned = String(url || '').replace(/[\u0000- ]/g, '');
+
+    return /^(https?:|mailto:)/i.test(cleaned) ? String(url).trim() : '';
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    SANITIZER
+    ═══════════════════════════════════════════════════════════════
+
+    HOW IT WORKS:
+    1. Put the HTML into a <template> element (the browser parses it,
+       but nothing inside a template runs or loads)
+    2. Walk through every element
+    3. Remove anything that isn't on the allow-list
+    4. Hand back the cleaned HTML string
+*/
+function sanitizeHTML(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    sanitizeNode(template.content);
+
+    return template.innerHTML;
+}
+
+function sanitizeNode(parent) {
+    // Array.from makes a copy, because we change the list while looping
+    Array.from(parent.childNodes).forEach(node => {
+        // Plain text is always safe (the browser already escaped it)
+        if (node.nodeType === Node.TEXT_NODE) return;
+
+        // Comments and anything else unusual - just remove
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+            node.remove();
+            return;
+        }
+
+        const tag = node.tagName;
+        const allowedAttributes = SANITIZER_ALLOWED_TAGS[tag];
+
+        if (!allowedAttributes) {
+            if (SANITIZER_DROP_WITH_CONTENT.includes(tag)) {
+                node.remove();
+            } else {
+                // Unknown tag (like <img> or <form>): keep its text, lose the tag
+                sanitizeNode(node);
+                node.replaceWith(...node.childNodes);
+            }
+            return;
+        }
+
+        // Remove attributes that aren't allowed (onclick, style, src...)
+        Array.from(node.attributes).forEach(attribute => {
+            if (attribute.name !== 'class' && !allowedAttributes.includes(attribute.name)) {
+                node.removeAttribute(attribute.name);
+            }
+        });
+
+        // Links: only safe URLs, always open in a new tab without access to our page
+        if (tag === 'A') {
+            const href = safeUrl(node.getAttribute('href'));
+
+            if (href) {
+                node.setAttribute('href', href);
+                node.setAttribute('target', '_blank');
+                node.setAttribute('rel', 'noopener noreferrer');
+            } else {
+                node.removeAttribute('href');
+            }
+        }
+
+        sanitizeNode(node);
+    });
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    INLINE MARKDOWN
+    ═══════════════════════════════════════════════════════════════
+
+    Formatting INSIDE a line: `code`, **bold**, *italic*, ~~strike~~,
+    [link text](https://...) - and they can be combined:
+
+        [`npm test`](https://docs.npmjs.com) → <a href="..."><code>npm test</code></a>
+
+    The text is escaped FIRST, so any HTML inside it becomes harmless,
+    then we add our own (safe) tags around the Markdown symbols.
+*/
+function renderInlineMarkdown(text) {
+    // 1. Take `code` spans out first so **stars** inside code stay as-is
+    //    (\u0000 marks where they go, so strip any \u0000 already in the text)
+    const placeholders = [];
+    let result = String(text || '').replace(/\u0000/g, '').replace(/`([^`]+)`/g, (match, code) => {
+        placeholders.push(`<code>${escapeHTML(code)}</code>`);
+        return `\u0000${placeholders.length - 1}\u0000`;
+    });
+
+    // 2. Escape everything else
+    result = escapeHTML(result);
+
+    // 3. Links: [text](url) - also set aside, so "_" or "*" in URLs isn't formatted
+    //    Unsafe URLs (like javascript:) keep just the text
+    result = result.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        const formattedLabel = formatEmphasis(label);
+        if (!safeUrl(url)) return formattedLabel;
+
+        placeholders.push(`<a href="${url}">${formattedLabel}</a>`);
+        return `\u0000${placeholders.length - 1}\u0000`;
+    });
+
+    // 4. Bold, italic and strikethrough
+    result = formatEmphasis(result);
+
+    // 5. Put the code spans and links back - AFTER every rule has run.
+    //    A link can hold a code span ([`foo`](url)), so putting the link
+    //    back brings in another placeholder: repeat until none are left
+    let restored;
+    do {
+        restored = result;
+        result = result.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[index]);
+    } while (result !== restored);
+
+    return result;
+}
+
+// **bold**, __bold__, *italic*, _italic_ and ~~strikethrough~~ (on already-escaped text)
+function formatEmphasis(escapedText) {
+    return escapedText
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(.+?)__/g, '<strong>$1</strong>')
+        .replace(/\*([^*\s][^*]*?)\*/g, '<em>$1</em>')
+        .replace(/(^|\W)_([^_\s][^_]*?)_(?=\W|$)/g, '$1<em>$2</em>')
+        .replace(/~~(.+?)~~/g, '<del>$1</del>');
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    BLOCK MARKDOWN
+    ═══════════════════════════════════════════════════════════════
+
+    Reads the text line by line and groups lines into blocks:
+    - ```fenced code```      → <pre><code>
+    - # to ###### headings   → <h1> to <h6>
+    - - item / 1. item       → <ul> / <ol>
+    - > quote                → <blockquote>
+    - --- or ***             → <hr>
+    - anything else          → <p> (lines joined with <br>)
+
+    An unfinished code block is still shown - this matters while an
+    AI response is streaming in and the closing ``` hasn't arrived yet.
+*/
+function renderMarkdown(markdown) {
+    const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+
+    let paragraph = [];     // Lines of the current paragraph
+    let list = null;        // { type: 'ul' or 'ol', items: [...] }
+    let codeLines = null;   // Lines of the current code block (null = not in one)
+
+    function flushParagraph() {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    }
+
+    function flushList() {
+        if (list) {
+            const items = list.items.map(item => `<li>${renderInlineMarkdown(item)}</li>`).join('');
+            blocks.push(`<${list.type}>${items}</${list.type}>`);
+            list = null;
+        }
+    }
+
+    function flushCode() {
+        blocks.push(`<pre><code>${escapeHTML(codeLines.join('\n'))}</code></pre>`);
+        codeLines = null;
+    }
+
+    lines.forEach(line => {
+        // Inside a code block: keep lines exactly as written until the closing ```
+        if (codeLines) {
+            if (/^\s*```/.test(line)) {
+                flushCode();
+            } else {
+                codeLines.push(line);
+            }
+            return;
+        }
+
+        if (/^\s*```/.test(line)) {
+            flushParagraph();
+            flushList();
+            codeLines = [];
+            return;
+        }
+
+        // Blank line ends paragraphs and lists
+        if (!line.trim()) {
+            flushParagraph();
+            flushList();
+            return;
+        }
+
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flushParagraph();
+            flushList();
+            const level = heading[1].length;
+            blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+            return;
+        }
+
+        // Horizontal rule (checked before lists, since "* * *" looks like a bullet)
+        if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            flushList();
+            blocks.push('<hr>');
+            return;
+        }
+
+        const bullet = line.match(/^\s*[-*+]\s+(.*)$/);
+        const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+        if (bullet || numbered) {
+            flushParagraph();
+
+            const type = bullet ? 'ul' : 'ol';
+            if (list && list.type !== type) {
+                flushList();
+            }
+            if (!list) {
+                list = { type: type, items: [] };
+            }
+
+            list.items.push((bullet || numbered)[1]);
+            return;
+        }
+
+        const quote = line.match(/^\s*>\s?(.*)$/);
+        if (quote) {
+            flushParagraph();
+            flushList();
+            blocks.push(`<blockquote>${renderInlineMarkdown(quote[1])}</blockquote>`);
+            return;
+        }
+
+        // Indented line right after a list item continues that item
+        if (list && /^\s+/.test(line)) {
+            list.items[list.items.length - 1] += ' ' + line.trim();
+            return;
+        }
+
+        flushList();
+        paragraph.push(line.trim());
+    });
+
+    // Close anything still open at the end of the text
+    if (codeLines) flushCode();
+    flushParagraph();
+    flushList();
+
+    // Defense in depth: run our own output through the sanitizer too
+    return sanitizeHTML(blocks.join('\n'));
+}
@@ -0,0 +1,443 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    MOCK GITHUB - A Pretend GitHub for Practice Mode
+    ═══════════════════════════════════════════════════════════════
+
+    In practice mode, the "Submit My First PR" steps talk to THIS file
+    instead of the real GitHub. Nothing is created on github.com, and
+    it works with no internet connection at all - perfect for
+    rehearsing the course or a classroom with bad Wi-Fi.
+
+    It pretends to be just enough of the GitHub API for the PR flow:
+    - Forks (which take a few seconds to "finish", like real ones)
+    - Files with SHAs, and commits that change them
+    - Branches, and syncing a fork with the original (merge-upstream)
+    - Conflicts: committing with an out-of-date SHA answers 409, and a
+      fork whose main has its own commits can't be synced
+    - Pull Requests (each one also makes the original repo move on a
+      bit, as if another student's PR was merged - so the next
+      practice run has a fork to sync)
+
+    KEY CONCEPTS:
+
+    1. SAME SHAPE AS fetch():
+       - mockGitHubFetch(url, options) takes the same arguments as
+         fetch() and returns something that looks like a Response
+       - So github-client.js doesn't care which one it's talking to
+         (it's passed as the "transport" option)
+
+    2. COMMITS AND SHAs:
+       - Every commit has a SHA (an ID made from its content) and a
+         parent (the commit before it)
+       - A branch is just a name pointing at a commit SHA
+       - Forks share commits with the original repo, which is why a
+         branch on your fork can start at the original's latest commit
+
+    The pretend GitHub is saved in localStorage, so a practice
+    submission can be resumed after a refresh like a real one.
+*/
+
+const MOCK_GITHUB_STORAGE_KEY = 'osLearningMockGitHub';
+const MOCK_GITHUB_LATENCY_MS = 150;         // Pretend network delay
+const MOCK_GITHUB_FORK_DELAY_MS = 4000;     // How long a new fork takes to "finish"
+
+// Where the pretend PRs "live" (.invalid addresses never exist, so nobody clicks a real link)
+const MOCK_GITHUB_WEB_URL = 'https://practice.github.invalid';
+
+// The pretend GitHub's data (loaded on first use)
+let mockGitHub = null;
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE PRETEND DATA
+    ═══════════════════════════════════════════════════════════════
+
+    {
+        user: 'janesmith',                     Who is "logged in"
+        commits: { sha: { parent, files: { path: text }, message } },
+        repos: { 'owner/name': { forkOf, readyAt, defaultBranch, branches: { main: sha } } },
+        contributorsPath: 'CONTRIBUTORS.md',   The file the classmates "edit"
+        pulls: [{ number, repo, head, base, title, body, headSha }],
+        counter: 0                             Makes every SHA unique
+    }
+*/
+
+// A 40-character fake SHA, different for every call
+function createMockSha(text) {
+    mockGitHub.counter++;
+    let hash = '';
+    const seed = `${text}|${mockGitHub.counter}`;
+
+    // Five rounds of a simple string hash = 40 hex characters
+    for (let round = 0; round < 5; round++) {
+        let value = 2166136261 + round;
+        for (let i = 0; i < seed.length; i++) {
+            value = Math.imul(value ^ seed.charCodeAt(i), 16777619);
+        }
+        hash += (value >>> 0).toString(16).padStart(8, '0');
+    }
+
+    return hash;
+}
+
+// Add a commit on top of parentSha and return its SHA
+function addMockCommit(parentSha, files, message) {
+    const sha = createMockSha(message);
+    mockGitHub.commits[sha] = { parent: parentSha, files: files, message: message };
+    return sha;
+}
+
+// The original repo, with a contributors file that has one name in it
+function createMockGitHub(upstreamFullName, baseBranch, contributorsPath) {
+    mockGitHub = { user: 'practice-student', commits: {}, repos: {}, pulls: [], contributorsPath: contributorsPath, counter: 0 };
+
+    const owner = upstreamFullName.split('/')[0];
+    const firstCommit = addMockCommit(null, {
+        [contributorsPath]: `# Contributors\n\nEveryone who completed the course:\n\n- [@${owner}](https://github.com/${owner}) - Course Author - 1/1/2025\n`
+    }, 'Initial commit');
+
+    mockGitHub.repos[upstreamFullName] = {
+        forkOf: null,
+        readyAt: 0,
+        defaultBranch: baseBranch,
+        branches: { [baseBranch]: firstCommit }
+    };
+    saveMockGitHub();
+}
+
+function saveMockGitHub() {
+    try {
+        localStorage.setItem(MOCK_GITHUB_STORAGE_KEY, JSON.stringify(mockGitHub));
+    } catch (error) {
+        console.warn('⚠️ Could not save the practice GitHub:', error);
+    }
+}
+
+// Is the saved pretend GitHub set up for this repo, branch and file?
+function isMockGitHubFor(upstreamFullName, baseBranch, contributorsPath) {
+    const upstream = mockGitHub && mockGitHub.repos && mockGitHub.repos[upstreamFullName];
+    return Boolean(upstream && upstream.branches[baseBranch] && mockGitHub.contributorsPath === contributorsPath);
+}
+
+// Load the saved pretend GitHub (or create a fresh one if the settings changed)
+function loadMockGitHub(upstreamFullName, baseBranch, contributorsPath) {
+    if (isMockGitHubFor(upstreamFullName, baseBranch, contributorsPath)) return;
+
+    try {
+        mockGitHub = JSON.parse(localStorage.getItem(MOCK_GITHUB_STORAGE_KEY));
+    } catch (error) {
+        mockGitHub = null;
+    }
+
+    if (!isMockGitHubFor(upstreamFullName, baseBranch, contributorsPath)) {
+        createMockGitHub(upstreamFullName, baseBranch, contributorsPath);
+    }
+}
+
+/*
+    Start using the pretend GitHub.
+    - upstreamFullName: The "original" repo, e.g. 'AnaPcode/Learning-...'
+    - username: Who is "logged in" (the username the student typed)
+    - options: { baseBranch, contributorsPath } (from platform-config.js)
+*/
+function setupMockGitHub(upstreamFullName, username, options) {
+    const opts = options || {};
+    loadMockGitHub(upstreamFullName, opts.baseBranch || 'main', opts.contributorsPath || 'CONTRIBUTORS.md');
+    mockGitHub.user = username;
+    saveMockGitHub();
+}
+
+// Throw away everything (forks, branches, PRs) and start fresh
+function resetMockGitHub() {
+    mockGitHub = null;
+    localStorage.removeItem(MOCK_GITHUB_STORAGE_KEY);
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    HELPERS
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Is ancestorSha somewhere in the history of sha?
+function isMockAncestor(ancestorSha, sha) {
+    for (let current = sha; current; current = mockGitHub.commits[current].parent) {
+        if (current === ancestorSha) return true;
+    }
+    return false;
+}
+
+// A repo that exists AND has finished forking (null otherwise)
+function getReadyMockRepo(fullName) {
+    const repo = mockGitHub.repos[fullName];
+    return repo && Date.now() >= repo.readyAt ? repo : null;
+}
+
+// The shape GitHub uses for a repository
+function describeMockRepo(fullName) {
+    const repo = mockGitHub.repos[fullName];
+    return {
+        full_name: fullName,
+        name: fullName.split('/')[1],
+        owner: { login: fullName.split('/')[0] },
+        fork: Boolean(repo.forkOf),
+        parent: repo.forkOf ? { full_name: repo.forkOf } : undefined,
+        default_branch: repo.defaultBranch,
+        html_url: `${MOCK_GITHUB_WEB_URL}/${fullName}`
+    };
+}
+
+// "Blob SHA" of a file - changes whenever the text changes
+// (a real one is a hash of the content; ours just has to be stable)
+function getMockFileSha(text) {
+    let value = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        value = Math.imul(value ^ text.charCodeAt(i), 16777619);
+    }
+    return `blob${(value >>> 0).toString(16).padStart(8, '0')}`;
+}
+
+// Something that looks enough like a fetch() Response for github-client.js
+function createMockResponse(status, data) {
+    const headerValues = { 'content-type': 'application/json' };
+
+    return {
+        status: status,
+        ok: status >= 200 && status < 300,
+        headers: { get: name => headerValues[name.toLowerCase()] || null },
+        text: async () => (data === undefined ? '' : JSON.stringify(data))
+    };
+}
+
+function mockNotFound() {
+    return createMockResponse(404, { message: 'Not Found' });
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE PRETEND API
+    ═══════════════════════════════════════════════════════════════
+
+    Each route: [method, URL pattern, handler(match, body, query)]
+    The patterns capture the owner/repo (and branch or file path).
+*/
+const MOCK_GITHUB_ROUTES = [
+    // Get a repository
+    ['GET', /^\/repos\/([^/]+\/[^/]+)$/, match => {
+        return getReadyMockRepo(match[1]) ? createMockResponse(200, describeMockRepo(match[1])) : mockNotFound();
+    }],
+
+    // Fork a repository (the fork "finishes" a few seconds later)
+    ['POST', /^\/repos\/([^/]+\/[^/]+)\/forks$/, match => {
+        const upstream = match[1];
+        if (!getReadyMockRepo(upstream)) return mockNotFound();
+
+        // Already forked? GitHub just returns the existing fork
+        const existing = Object.keys(mockGitHub.repos).find(name =>
+            mockGitHub.repos[name].forkOf === upstream && name.split('/')[0] === mockGitHub.user
+        );
+        if (existing) return createMockResponse(202, describeMockRepo(existing));
+
+        // Like a real fork, it copies only the default branch
+        const original = mockGitHub.repos[upstream];
+        const forkName = `${mockGitHub.user}/${upstream.split('/')[1]}`;
+        mockGitHub.repos[forkName] = {
+            forkOf: upstream,
+            readyAt: Date.now() + MOCK_GITHUB_FORK_DELAY_MS,
+            defaultBranch: original.defaultBranch,
+            branches: { [original.defaultBranch]: original.branches[original.defaultBranch] }
+        };
+        return createMockResponse(202, describeMockRepo(forkName));
+    }],
+
+    // Sync a fork's branch with the original repo
+    ['POST', /^\/repos\/([^/]+\/[^/]+)\/merge-upstream$/, (match, body) => {
+        const fork = getReadyMockRepo(match[1]);
+        if (!fork || !fork.forkOf) return mockNotFound();
+
+        const branch = body.branch || fork.defaultBranch;
+        const forkSha = fork.branches[branch];
+        const upstreamSha = mockGitHub.repos[fork.forkOf].branches[branch];
+
+        if (forkSha === upstreamSha) {
+            return createMockResponse(200, { message: 'This branch is not behind the upstream', merge_type: 'none' });
+        }
+
+        // Fork only behind = move it forward ("fast-forward")
+        if (isMockAncestor(forkSha, upstreamSha)) {
+            fork.branches[branch] = upstreamSha;
+            return createMockResponse(200, { message: 'Successfully fetched and fast-forwarded from upstream', merge_type: 'fast-forward' });
+        }
+
+        // Fork has its own commits - a real merge might conflict, so the mock always refuses
+        return createMockResponse(409, { message: 'There are merge conflicts' });
+    }],
+
+    // Read a branch
+    ['GET', /^\/repos\/([^/]+\/[^/]+)\/git\/ref\/heads\/(.+)$/, match => {
+        const repo = getReadyMockRepo(match[1]);
+        const branch = decodeURIComponent(match[2]);
+        if (!repo || !repo.branches[branch]) return mockNotFound();
+
+        return createMockResponse(200, { ref: `refs/heads/${branch}`, object: { type: 'commit', sha: repo.branches[branch] } });
+    }],
+
+    // Create a branch
+    ['POST', /^\/repos\/([^/]+\/[^/]+)\/git\/refs$/, (match, body) => {
+        const repo = getReadyMockRepo(match[1]);
+        if (!repo) return mockNotFound();
+
+        const branch = String(body.ref || '').replace(/^refs\/heads\//, '');
+        if (!branch || repo.branches[branch]) {
+            return createMockResponse(422, { message: 'Reference already exists' });
+        }
+        if (!mockGitHub.commits[body.sha]) {
+            return createMockResponse(422, { message: 'Object does not exist' });
+        }
+
+        repo.branches[branch] = body.sha;
+        return createMockResponse(201, { ref: `refs/heads/${branch}`, object: { type: 'commit', sha: body.sha } });
+    }],
+
+    // Read a file (?ref=branch, default = the repo's default branch)
+    ['GET', /^\/repos\/([^/]+\/[^/]+)\/contents\/(.+)$/, (match, body, query) => {
+        const repo = getReadyMockRepo(match[1]);
+        const branch = query.get('ref') || (repo && repo.defaultBranch);
+        if (!repo || !repo.branches[branch]) return mockNotFound();
+
+        const path = decodeURIComponent(match[2]);
+        const text = mockGitHub.commits[repo.branches[branch]].files[path];
+        if (text === undefined) return mockNotFound();
+
+        return createMockResponse(200, {
+            name: path.split('/').pop(),
+            path: path,
+            sha: getMockFileSha(text),
+            encoding: 'base64',
+            content: encodeBase64Text(text)
+        });
+    }],
+
+    // Create or update a file = a new commit on the branch
+    ['PUT', /^\/repos\/([^/]+\/[^/]+)\/contents\/(.+)$/, (match, body) => {
+        const repo = getReadyMockRepo(match[1]);
+        const branch = body.branch || (repo && repo.defaultBranch);
+        if (!repo || !repo.branches[branch]) return mockNotFound();
+
+        const path = decodeURIComponent(match[2]);
+        const headSha = repo.branches[branch];
+        const current = mockGitHub.commits[headSha].files[path];
+
+        // Updating needs the SHA of the version you read - if the file has
+        // changed since then, that's a conflict
+        if (current !== undefined && body.sha !== getMockFileSha(current)) {
+            return createMockResponse(409, { message: `${path} does not match ${body.sha || 'a missing sha'}` });
+        }
+
+        const newText = decodeBase64Text(body.content);
+        const files = Object.assign({}, mockGitHub.commits[headSha].files, { [path]: newText });
+        const commitSha = addMockCommit(headSha, files, body.message || `Update ${path}`);
+        repo.branches[branch] = commitSha;
+
+        return createMockResponse(current === undefined ? 201 : 200, {
+            content: { path: path, sha: getMockFileSha(newText) },
+            commit: { sha: commitSha, message: body.message }
+        });
+    }],
+
+    // List Pull Requests (?head=owner:branch&state=open)
+    ['GET', /^\/repos\/([^/]+\/[^/]+)\/pulls$/, (match, body, query) => {
+        const head = query.get('head');
+        const pulls = mockGitHub.pulls.filter(pull => pull.repo === match[1] && (!head || pull.head === head));
+        return createMockResponse(200, pulls.map(describeMockPull));
+    }],
+
+    // Open a Pull Request
+    ['POST', /^\/repos\/([^/]+\/[^/]+)\/pulls$/, (match, body) => {
+        const upstreamName = match[1];
+        const upstream = getReadyMockRepo(upstreamName);
+        if (!upstream) return mockNotFound();
+
+        // head = "owner:branch" - find that branch on the owner's fork
+        const [headOwner, headBranch] = String(body.head || '').split(':');
+        const forkName = Object.keys(mockGitHub.repos).find(name =>
+            name.split('/')[0] === headOwner && mockGitHub.repos[name].forkOf === upstreamName
+        );
+        const headSha = forkName && mockGitHub.repos[forkName].branches[headBranch];
+        const baseSha = upstream.branches[body.base];
+
+        if (!headSha || !baseSha) {
+            return createMockResponse(422, { message: 'Validation Failed: head or base branch not found' });
+        }
+        if (mockGitHub.pulls.some(pull => pull.repo === upstreamName && pull.head === body.head)) {
+            return createMockResponse(422, { message: `A pull request already exists for ${body.head}.` });
+        }
+        if (isMockAncestor(headSha, baseSha)) {
+            return createMockResponse(422, { message: `No commits between ${body.base} and ${headBranch}` });
+        }
+
+        const pull = {
+            number: mockGitHub.pulls.length + 1,
+            repo: upstreamName,
+            head: body.head,
+            base: body.base,
+            title: body.title,
+            body: body.body,
+            headSha: headSha
+        };
+        mockGitHub.pulls.push(pull);
+
+        // Meanwhile, another student's PR gets merged into the original...
+        const path = mockGitHub.contributorsPath;
+        const upstreamHead = upstream.branches[upstream.defaultBranch];
+        const files = Object.assign({}, mockGitHub.commits[upstreamHead].files);
+        files[path] = (files[path] || '') + `- [@classmate-${pull.number}](https://github.com/classmate-${pull.number}) - A Classmate - ${new Date().toLocaleDateString()}\n`;
+        upstream.branches[upstream.defaultBranch] = addMockCommit(upstreamHead, files, `Add classmate-${pull.number} to contributors`);
+
+        return createMockResponse(201, describeMockPull(pull));
+    }]
+];
+
+function describeMockPull(pull) {
+    return {
+        number: pull.number,
+        state: 'open',
+        title: pull.title,
+        body: pull.body,
+        head: { label: pull.head, sha: pull.headSha },
+        base: { ref: pull.base },
+        html_url: `${MOCK_GITHUB_WEB_URL}/${pull.repo}/pull/${pull.number}`
+    };
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE fetch() REPLACEMENT
+    ═══════════════════════════════════════════════════════════════
+
+    Pass it to github-client.js: githubFetch(path, { transport: mockGitHubFetch })
+    Call setupMockGitHub() first.
+*/
+async function mockGitHubFetch(url, options) {
+    await new Promise(resolve => setTimeout(resolve, MOCK_GITHUB_LATENCY_MS));
+
+    const parsed = new URL(url);
+    const method = ((options && options.method) || 'GET').toUpperCase();
+    const body = options && options.body ? JSON.parse(options.body) : {};
+
+    for (const [routeMethod, pattern, handler] of MOCK_GITHUB_ROUTES) {
+        const match = routeMethod === method && parsed.pathname.match(pattern);
+
+        if (match) {
+            const response = handler(match, body, parsed.searchParams);
+            saveMockGitHub();
+            return response;
+        }
+    }
+
+    return mockNotFound();
+}
@@ -0,0 +1,129 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    PLATFORM CONFIG - Settings for YOUR Copy of the Platform
+    ═══════════════════════════════════════════════════════════════
+
+    Running the course for your own class or cohort? Fork this
+    repository and change the settings below - that's it. Every part
+    of the platform that needs to know "which repository do students
+    send their Pull Request to?" reads it from here:
+    - pr-submission.js (forking, the duplicate check, the PR itself)
+    - mock-github.js (the pretend GitHub in practice mode)
+    - curriculum.js (the course name)
+    - github-auth.js ("Sign in with GitHub" - where the sign-in helper runs)
+    - The page text (anything marked data-config="..." in index.html)
+
+    QUERY PARAMETERS (no editing needed):
+    Several cohorts can share ONE copy of the platform by adding the
+    settings to the link, e.g.
+    index.html?owner=my-school&repo=spring-cohort&branch=main&course=Open%20Source%20101
+
+        owner         → upstreamOwner
+        repo          → upstreamRepo
+        branch        → baseBranch
+        contributors  → contributorsPath
+        course        → courseName
+        prTitle       → prTitleTemplate
+        prBody        → prBodyTemplate
+
+    Values from the link win over the file. Values that don't look
+    right (like a repo name with spaces) are ignored with a warning.
+
+    TEMPLATES:
+    The PR title and body can use placeholders that are filled in for
+    each student: {name}, {username} and {course}
+*/
+
+const PLATFORM_SETTINGS = {
+    // The repository students send their Pull Request to
+    upstreamOwner: 'AnaPcode',
+    upstreamRepo: 'Learning-Platform-Project-for-Open-Source-Hackfest',
+    baseBranch: 'main',                      // The branch Pull Requests go into
+
+    // The file students add their name to (a path inside the repository)
+    contributorsPath: 'CONTRIBUTORS.md',
+
+    // Shown in the header, the page title and the PR
+    courseName: 'Open Source Learning',
+
+    prTitleTemplate: 'Add {name} to contributors',
+    prBodyTemplate: '## 🎉 Course Completion!\n\n**Name:** {name}\n**GitHub:** @{username}\n\nI completed the {course} course and learned how to contribute to open source projects!',
+
+    // Where tools/github-oauth-proxy.js runs (for "Sign in with GitHub").
+    // Not settable from the link on purpose: a link pointing at someone
+    // else's helper could collect students' tokens.
+    githubOAuthProxyUrl: 'http://localhost:8787'
+};
+
+// Link parameter → setting, and what a valid value looks like
+const PLATFORM_CONFIG_QUERY_PARAMS = {
+    owner: { key: 'upstreamOwner', pattern: /^[A-Za-z0-9-]{1,39}$/ },
+    repo: { key: 'upstreamRepo', pattern: /^[A-Za-z0-9_.-]{1,100}$/ },
+    // Git's rules for branch names: no "..", no "//", no "/" at either end,
+    // no part starting with "." and no ".lock" or "." at the end
+    branch: { key: 'baseBranch', pattern: /^(?![/.])(?!.*(?:\.\.|\/\/|\/\.))(?!.*(?:\/|\.|\.lock)$)[A-Za-z0-9_./-]{1,100}$/ },
+    contributors: { key: 'contributorsPath', pattern: /^(?!.*\.\.)[A-Za-z0-9_./ -]{1,200}$/ },
+    course: { key: 'courseName', pattern: /^.{1,80}$/ },
+    prTitle: { key: 'prTitleTemplate', pattern: /^.{1,200}$/ },
+    prBody: { key: 'prBodyTemplate', pattern: /^[\s\S]{1,2000}$/ }
+};
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    LOADING THE CONFIG
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// The settings above, with any link parameters applied on top
+function loadPlatformConfig(search) {
+    const config = Object.assign({}, PLATFORM_SETTINGS);
+    const params = new URLSearchParams(search);
+
+    Object.keys(PLATFORM_CONFIG_QUERY_PARAMS).forEach(param => {
+        const value = params.get(param);
+        if (value === null) return;
+
+        const rule = PLATFORM_CONFIG_QUERY_PARAMS[param];
+        if (rule.pattern.test(value.trim())) {
+            config[rule.key] = value.trim();
+        } else {
+            console.warn(`⚠️ Ignoring the "${param}" link parameter - "${value}" doesn't look right.`);
+        }
+    });
+
+    return config;
+}
+
+// The settings in use on this page (read once, when the page loads)
+const PLATFORM_CONFIG = loadPlatformConfig(window.location.search);
+
+// Replace {placeholders} in a template - unknown ones are left as they are
+function fillConfigTemplate(template, values) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, key) =>
+        Object.prototype.hasOwnProperty.call(values, key) ? values[key] : placeholder
+    );
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    CONFIG VALUES IN THE PAGE TEXT
+    ═══════════════════════════════════════════════════════════════
+
+    <span data-config="courseName">Open Source Learning</span>
+    gets its text replaced with the configured value. The text inside
+    is just what shows if JavaScript hasn't run yet.
+*/
+function applyPlatformConfigText(root) {
+    const values = Object.assign({
+        upstreamFullName: `${PLATFORM_CONFIG.upstreamOwner}/${PLATFORM_CONFIG.upstreamRepo}`
+    }, PLATFORM_CONFIG);
+
+    (root || document).querySelectorAll('[data-config]').forEach(element => {
+        const value = values[element.dataset.config];
+        if (value !== undefined) {
+            element.textContent = value;
+        }
+    });
+}
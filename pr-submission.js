@@ -0,0 +1,722 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    PR SUBMISSION - The Big Moment! (Resumable)
+    ═══════════════════════════════════════════════════════════════
+
+    This is where students submit their first REAL Pull Request!
+
+    Submitting takes 6 steps, and any of them can fail (network hiccup,
+    GitHub being slow, the tab getting closed...). So instead of one
+    long function that starts over from forking every time, the
+    submission is a STATE MACHINE:
+
+    - Each step has a status: pending → running → done (or failed)
+    - After every step, the state is saved in userProgress
+      (localStorage), so it survives a page refresh
+    - Clicking the button again RESUMES from the first unfinished step
+    - A checklist shows every step, with the exact error if one failed
+
+    SAFE TO RETRY (IDEMPOTENT):
+    Running a step twice must not do the work twice. For example, if
+    the commit worked but the page was closed before we saved "done",
+    the commit step runs again - so it first checks whether your name
+    is already in the file. Same for the branch and the Pull Request.
+
+    THE STATE (userProgress.prSubmission):
+    {
+        name, githubUsername,       What the student typed
+        upstream,                   Where the PR goes, e.g. 'AnaPcode/my-repo'
+        steps: { fork: { status: 'done', error: '' }, ... },
+        forkFullName,               e.g. 'janesmith/my-fork'
+        branchName,                 e.g. 'add-janesmith-to-contributors-lq2x9k'
+        prUrl                       Set once the PR exists
+    }
+
+    PRACTICE MODE:
+    With the "Practice mode" box ticked, the exact same steps run
+    against a pretend GitHub (mock-github.js) - no token, no network,
+    nothing real is created. Practice has its own saved state
+    (userProgress.practicePRSubmission), so a half-finished rehearsal
+    never gets mixed up with the real submission.
+*/
+
+// YOUR repository info - set in platform-config.js (or the page link)
+const PR_UPSTREAM_OWNER = PLATFORM_CONFIG.upstreamOwner;
+const PR_UPSTREAM_REPO = PLATFORM_CONFIG.upstreamRepo;
+const PR_BASE_BRANCH = PLATFORM_CONFIG.baseBranch;  // The branch Pull Requests go into
+const PR_CONTRIBUTORS_PATH = PLATFORM_CONFIG.contributorsPath;
+
+const PR_SUBMIT_LABEL = '🚀 Submit My First PR!';
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    SMALL HELPERS
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Helper function to sleep/wait
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Update status message during PR submission
+function updatePRStatus(message) {
+    const statusDiv = document.getElementById('pr-status');
+    const statusText = document.getElementById('status-text');
+
+    statusDiv.style.display = 'block';
+    statusText.textContent = message;
+}
+
+/*
+    Every GitHub request in this file goes through these two, so
+    practice mode only has to swap out ONE thing: where requests are
+    sent (the real GitHub, or mockGitHubFetch in mock-github.js).
+*/
+function isPracticeMode() {
+    return Boolean(userProgress.practiceMode);
+}
+
+function getPRRequestOptions(options) {
+    return isPracticeMode() ? Object.assign({}, options, { transport: mockGitHubFetch }) : options;
+}
+
+function prGitHubFetch(path, options) {
+    return githubFetch(path, getPRRequestOptions(options));
+}
+
+function prGitHubRequest(path, options) {
+    return githubRequest(path, getPRRequestOptions(options));
+}
+
+// 'owner/repo' of the original repository
+function getUpstreamFullName() {
+    return `${PR_UPSTREAM_OWNER}/${PR_UPSTREAM_REPO}`;
+}
+
+// Contributors file path for a URL: 'docs/CONTRIBUTORS.md' → /contents/docs/CONTRIBUTORS.md
+// (each folder name is encoded, the slashes between them are kept)
+function getContributorsApiPath(repoFullName) {
+    const path = PR_CONTRIBUTORS_PATH.split('/').map(encodeURIComponent).join('/');
+    return `/repos/${repoFullName}/contents/${path}`;
+}
+
+// The PR title and body, from the templates in platform-config.js
+function buildPRText(template, state) {
+    return fillConfigTemplate(template, {
+        name: state.name,
+        username: state.githubUsername,
+        course: PLATFORM_CONFIG.courseName
+    });
+}
+
+// The line we add to the contributors file
+function buildContributorEntry(name, githubUsername) {
+    return `- [@${githubUsername}](https://github.com/${githubUsername}) - ${name} - ${new Date().toLocaleDateString()}`;
+}
+
+// Is this student already listed in a contributors file?
+// The whole handle must match: "@bob" is NOT in "@bobby" or "@bob-smith".
+// GitHub usernames ignore case, so this does too
+function hasContributorEntry(content, githubUsername) {
+    const escaped = githubUsername.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`@${escaped}(?![A-Za-z0-9-])`, 'i').test(content);
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    WAITING FOR THE FORK
+    ═══════════════════════════════════════════════════════════════
+
+    GitHub creates forks in the background - the fork request returns
+    right away, but the copy can take a few seconds (or minutes, for
+    big repos) to appear. So we keep checking until we can read both
+    the fork and its contributors file.
+
+    EXPONENTIAL BACKOFF:
+    Wait 2s, then 4s, then 8s, 16s... (capped at 30s). Quick forks are
+    found quickly, and slow ones don't get hammered with requests.
+*/
+const FORK_POLL_FIRST_DELAY_MS = 2000;
+const FORK_POLL_MAX_DELAY_MS = 30000;
+const FORK_POLL_TIMEOUT_MS = 180000;  // Give up after 3 minutes
+
+// Is the fork there, with its contributors file? (true/false - never throws a 404)
+async function isForkReady(forkFullName, token) {
+    const repo = await prGitHubFetch(`/repos/${forkFullName}`, { token: token, allowStatuses: [404] });
+    if (repo.status === 404) return false;
+
+    const file = await prGitHubFetch(getContributorsApiPath(forkFullName), { token: token, allowStatuses: [404] });
+    return file.status === 200;
+}
+
+// Show "checking again in 4s..." and count down every second
+async function countdownPRStatus(message, milliseconds) {
+    for (let seconds = Math.ceil(milliseconds / 1000); seconds > 0; seconds--) {
+        updatePRStatus(`${message} Checking again in ${seconds}s...`);
+        await sleep(1000);
+    }
+}
+
+// Keep checking until the fork is ready (or we've waited too long)
+async function waitForFork(forkFullName, token) {
+    const startedAt = Date.now();
+    let delay = FORK_POLL_FIRST_DELAY_MS;
+
+    for (let attempt = 1; ; attempt++) {
+        updatePRStatus(`⏳ Checking if your fork ${forkFullName} is ready (check ${attempt})...`);
+
+        if (await isForkReady(forkFullName, token)) {
+            console.log(`Fork ready after ${Math.round((Date.now() - startedAt) / 1000)}s`);
+            return;
+        }
+
+        if (Date.now() - startedAt + delay > FORK_POLL_TIMEOUT_MS) {
+            throw new Error(`Your fork ${forkFullName} still isn't ready after ${Math.round(FORK_POLL_TIMEOUT_MS / 60000)} minutes. GitHub can be slow sometimes - check https://github.com/${forkFullName} and try again in a few minutes.`);
+        }
+
+        await countdownPRStatus('⏳ GitHub is still creating your fork.', delay);
+        delay = Math.min(delay * 2, FORK_POLL_MAX_DELAY_MS);
+    }
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    A BRANCH FOR THE CHANGE (just like Module 3 teaches!)
+    ═══════════════════════════════════════════════════════════════
+
+    1. Sync: bring the fork's main up to date with the original repo
+       ("Sync fork" button on GitHub = the merge-upstream API)
+    2. Branch: create a new branch starting at the original repo's
+       latest commit, with a unique name
+    The fork's main branch is never changed by us, so it stays clean.
+*/
+async function createContributionBranch(forkFullName, upstreamFullName, baseBranch, githubUsername, token) {
+    // 1. Sync the fork (409 = the fork's main has its own changes and
+    //    can't be synced automatically - fine, the branch below starts
+    //    from the original repo anyway)
+    const sync = await prGitHubFetch(`/repos/${forkFullName}/merge-upstream`, {
+        method: 'POST',
+        token: token,
+        body: { branch: baseBranch },
+        allowStatuses: [409]
+    });
+
+    if (sync.status === 409) {
+        console.warn(`Could not sync ${forkFullName} with ${upstreamFullName} - creating the branch from ${upstreamFullName} directly.`);
+    }
+
+    // 2. Find the original repo's latest commit (forks share commits, so the fork can use it)
+    const baseRef = await prGitHubRequest(`/repos/${upstreamFullName}/git/ref/heads/${baseBranch}`, { token: token });
+
+    // Unique name, e.g. "add-octocat-to-contributors-lq2x9k"
+    // (Date.now() in base 36 = short and different every time)
+    const branchName = `add-${githubUsername}-to-contributors-${Date.now().toString(36)}`;
+
+    await prGitHubRequest(`/repos/${forkFullName}/git/refs`, {
+        method: 'POST',
+        token: token,
+        body: { ref: `refs/heads/${branchName}`, sha: baseRef.object.sha }
+    });
+
+    console.log(`Created branch ${branchName} on ${forkFullName}`);
+    return branchName;
+}
+
+// Does this branch exist on the fork? (used when resuming)
+async function branchExists(forkFullName, branchName, token) {
+    const ref = await prGitHubFetch(`/repos/${forkFullName}/git/ref/heads/${encodeURIComponent(branchName)}`, {
+        token: token,
+        allowStatuses: [404]
+    });
+    return ref.status === 200;
+}
+
+// Read the contributors file from the contribution branch: { content, sha }
+async function readBranchContributors(state, token) {
+    const file = await prGitHubRequest(
+        `${getContributorsApiPath(state.forkFullName)}?ref=${encodeURIComponent(state.branchName)}`,
+        { token: token }
+    );
+
+    // Decode base64 content from their fork
+    return { content: decodeBase64Text(file.content), sha: file.sha };
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE STEPS
+    ═══════════════════════════════════════════════════════════════
+
+    Each step has:
+    - id: Saved in the state (don't rename!)
+    - label: Shown in the checklist
+    - run(state, token): Does the work, may save things on state
+      (like the fork's name) for later steps. Throws if it fails.
+*/
+const PR_SUBMISSION_STEPS = [
+    {
+        id: 'fork',
+        label: 'Fork the repository',
+        async run(state, token) {
+            // Forking twice is safe: GitHub just returns the existing fork
+            const forkResult = await prGitHubFetch(`/repos/${getUpstreamFullName()}/forks`, {
+                method: 'POST',
+                token: token,
+                allowStatuses: [409]  // 409 = fork already exists, that's fine
+            });
+
+            // Use the fork's REAL name from GitHub's answer - students who renamed
+            // their fork don't have it at username/repo-name
+            state.forkFullName = (forkResult.data && forkResult.data.full_name) || `${state.githubUsername}/${PR_UPSTREAM_REPO}`;
+            console.log('Fork ready to use:', state.forkFullName);
+        }
+    },
+    {
+        id: 'wait',
+        label: 'Wait for GitHub to finish the fork',
+        async run(state, token) {
+            await waitForFork(state.forkFullName, token);
+        }
+    },
+    {
+        id: 'check',
+        label: 'Check you haven\'t already completed the course',
+        async run(state, token) {
+            // Check the MAIN repo, not their fork
+            const mainRepoCheck = await prGitHubFetch(
+                `${getContributorsApiPath(getUpstreamFullName())}?ref=${encodeURIComponent(PR_BASE_BRANCH)}`,
+                { token: token, allowStatuses: [404] }  // No file yet = nobody has completed
+            );
+
+            if (mainRepoCheck.status === 200 && hasContributorEntry(decodeBase64Text(mainRepoCheck.data.content), state.githubUsername)) {
+                throw new Error(`You've already completed this course! Your name is already in ${PR_CONTRIBUTORS_PATH}. Check it out: https://github.com/${getUpstreamFullName()}/blob/${PR_BASE_BRANCH}/${PR_CONTRIBUTORS_PATH} 🎉`);
+            }
+        }
+    },
+    {
+        id: 'branch',
+        label: 'Sync your fork and create a branch',
+        async run(state, token) {
+            // Resuming? Reuse the branch we made last time (if it's still there)
+            if (state.branchName && await branchExists(state.forkFullName, state.branchName, token)) {
+                console.log(`Reusing branch ${state.branchName}`);
+                return;
+            }
+
+            state.branchName = await createContributionBranch(
+                state.forkFullName, getUpstreamFullName(), PR_BASE_BRANCH, state.githubUsername, token
+            );
+        }
+    },
+    {
+        id: 'commit',
+        label: `Add your name to ${PR_CONTRIBUTORS_PATH} on your branch`,
+        async run(state, token) {
+            // Read it fresh: if an earlier try already committed, we're done
+            const file = await readBranchContributors(state, token);
+
+            if (hasContributorEntry(file.content, state.githubUsername)) {
+                console.log('Your name is already committed on this branch - skipping.');
+                return;
+            }
+
+            const updatedContent = file.content.trim() + '\n' + buildContributorEntry(state.name, state.githubUsername) + '\n';
+
+            await prGitHubRequest(
+                getContributorsApiPath(state.forkFullName),
+                {
+                    method: 'PUT',
+                    token: token,
+                    body: {
+                        message: `Add ${state.name} to contributors`,
+                        content: encodeBase64Text(updatedContent),  // Encode to base64
+                        sha: file.sha,                  // Which version we're replacing
+                        branch: state.branchName        // Commit to the branch, NOT to main
+                    }
+                }
+            );
+        }
+    },
+    {
+        id: 'pr',
+        label: 'Open the Pull Request',
+        async run(state, token) {
+            const head = `${state.forkFullName.split('/')[0]}:${state.branchName}`;  // owner:branch of the fork
+
+            // Already opened one from this branch on an earlier try? Use it
+            const existing = await prGitHubRequest(
+                `/repos/${getUpstreamFullName()}/pulls?state=open&head=${encodeURIComponent(head)}`,
+                { token: token }
+            );
+            if (existing.length > 0) {
+                state.prUrl = existing[0].html_url;
+                return;
+            }
+
+            const prData = await prGitHubRequest(
+                `/repos/${getUpstreamFullName()}/pulls`,
+                {
+                    method: 'POST',
+                    token: token,
+                    body: {
+                        title: buildPRText(PLATFORM_CONFIG.prTitleTemplate, state),
+                        head: head,
+                        base: PR_BASE_BRANCH,
+                        body: buildPRText(PLATFORM_CONFIG.prBodyTemplate, state)
+                    }
+                }
+            );
+
+            state.prUrl = prData.html_url;
+        }
+    }
+];
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    SAVED STATE
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// A fresh state: every step pending
+function createPRSubmissionState(name, githubUsername) {
+    const steps = {};
+    PR_SUBMISSION_STEPS.forEach(step => {
+        steps[step.id] = { status: 'pending', error: '' };
+    });
+
+    return {
+        name: name,
+        githubUsername: githubUsername,
+        upstream: getUpstreamFullName(),
+        steps: steps,
+        forkFullName: '',
+        branchName: '',
+        prUrl: ''
+    };
+}
+
+// First step that isn't done yet (undefined = all done)
+function getNextPRStep(state) {
+    return PR_SUBMISSION_STEPS.find(step => state.steps[step.id].status !== 'done');
+}
+
+// Practice runs are saved separately from the real submission
+function getPRStateKey() {
+    return isPracticeMode() ? 'practicePRSubmission' : 'prSubmission';
+}
+
+// Save the state with the rest of the progress (saveProgress in script.js)
+function savePRSubmission(state) {
+    userProgress[getPRStateKey()] = state;
+    saveProgress();
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    CHECKLIST & BUTTONS
+    ═══════════════════════════════════════════════════════════════
+*/
+
+const PR_STEP_ICONS = {
+    pending: '⬜',
+    running: '⏳',
+    done: '✅',
+    failed: '❌'
+};
+
+// Show every step with its status (and the error for a failed one)
+function renderPRChecklist(state) {
+    const checklist = document.getElementById('pr-checklist');
+
+    checklist.innerHTML = PR_SUBMISSION_STEPS.map((step, index) => {
+        const stepState = state.steps[step.id];
+        const error = stepState.status === 'failed' && stepState.error
+            ? `<p class="pr-step-error">${escapeHTML(stepState.error)}</p>`
+            : '';
+
+        return `
+            <li class="pr-step ${stepState.status}">
+                <span class="icon">${PR_STEP_ICONS[stepState.status]}</span>
+                Step ${index + 1}/${PR_SUBMISSION_STEPS.length}: ${escapeHTML(step.label)}
+                ${error}
+            </li>
+        `;
+    }).join('');
+
+    document.getElementById('pr-status').style.display = 'block';
+}
+
+// Submit button says where we'll continue from; "Start Over" appears once started
+function updatePRButtons(state) {
+    const submitButton = document.getElementById('submit-pr-btn');
+    const resetButton = document.getElementById('reset-pr-btn');
+    const nextStep = state && getNextPRStep(state);
+    const started = state && PR_SUBMISSION_STEPS.some(step => state.steps[step.id].status !== 'pending');
+
+    submitButton.disabled = false;
+
+    if (started && nextStep) {
+        const stepNumber = PR_SUBMISSION_STEPS.indexOf(nextStep) + 1;
+        submitButton.textContent = `🔁 Resume from Step ${stepNumber}`;
+        resetButton.style.display = 'inline-block';
+    } else {
+        submitButton.textContent = PR_SUBMIT_LABEL;
+        resetButton.style.display = 'none';
+    }
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    RUNNING THE STEPS
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Submit the actual Pull Request! (or continue an earlier attempt)
+async function submitPullRequest() {
+    // Get form values
+    const name = document.getElementById('student-name').value.trim();
+    const githubUsername = document.getElementById('github-username').value.trim();
+
+    // Get GitHub token from the credential store (saved from home setup)
+    const token = credentials.githubToken;
+
+    // Validate inputs
+    if (!name || !githubUsername) {
+        alert('Please fill in all fields!');
+        return;
+    }
+
+    // Validate token exists (the pretend GitHub doesn't need one)
+    if (!token && !isPracticeMode()) {
+        alert('GitHub token not found! Please go back to the Home page and enter your GitHub token - or tick "Practice mode" to try it out first.');
+        return;
+    }
+
+    // The fork is made in the token's account - a different username
+    // here would put the wrong name in the contributors file
+    const login = userProgress.githubLogin;
+    if (!isPracticeMode() && login && login.toLowerCase() !== githubUsername.toLowerCase()) {
+        alert(`Your GitHub token belongs to @${login}, but you entered "${githubUsername}". Please use @${login} (or go back to the Home page and sign in with the right account).`);
+        return;
+    }
+
+    if (isPracticeMode()) {
+        setupMockGitHub(getUpstreamFullName(), githubUsername, {
+            baseBranch: PR_BASE_BRANCH,
+            contributorsPath: PR_CONTRIBUTORS_PATH
+        });
+    }
+
+    // Continue the saved attempt - unless they changed their name/username
+    // (or the platform now points at a different repository)
+    let state = userProgress[getPRStateKey()];
+    if (!state || state.name !== name || state.githubUsername !== githubUsername ||
+        (state.upstream && state.upstream !== getUpstreamFullName())) {
+        state = createPRSubmissionState(name, githubUsername);
+    }
+
+    // Disable submit button
+    const submitButton = document.getElementById('submit-pr-btn');
+    submitButton.disabled = true;
+    submitButton.textContent = 'Submitting...';
+    document.getElementById('reset-pr-btn').style.display = 'none';
+    document.getElementById('practice-mode').disabled = true;  // No switching mid-run
+
+    let step;
+    while ((step = getNextPRStep(state))) {
+        state.steps[step.id] = { status: 'running', error: '' };
+        renderPRChecklist(state);
+        updatePRStatus(`${step.label}...`);
+
+        try {
+            await step.run(state, token);
+            state.steps[step.id] = { status: 'done', error: '' };
+            savePRSubmission(state);
+
+        } catch (error) {
+            console.error(`Error in PR step "${step.id}":`, error);
+
+            // Save the exact error so it's still shown after a refresh
+            // (a message that matches what went wrong - see github-client.js)
+            state.steps[step.id] = { status: 'failed', error: getGitHubErrorHelp(error) };
+            savePRSubmission(state);
+
+            renderPRChecklist(state);
+            updatePRStatus('❌ Something went wrong - fix the problem above, then resume. Finished steps won\'t be repeated.');
+            updatePRButtons(state);
+            document.getElementById('practice-mode').disabled = false;
+            return;
+        }
+    }
+
+    // SUCCESS! 🎉
+    document.getElementById('practice-mode').disabled = false;
+    renderPRChecklist(state);
+    showSuccessMessage(state.name, state.prUrl);
+}
+
+// Clear the checklist, success message and buttons (a fresh form)
+function clearPRSubmissionView() {
+    document.getElementById('pr-status').style.display = 'none';
+    document.getElementById('pr-checklist').innerHTML = '';
+    document.getElementById('completion-area').innerHTML = '';
+    document.querySelector('.pr-submission-form').style.display = 'block';
+    updatePRButtons(null);
+}
+
+// Forget the saved attempt and start again from Step 1
+function resetPRSubmission() {
+    if (!confirm('Start the Pull Request submission over from Step 1?')) return;
+
+    delete userProgress[getPRStateKey()];
+    saveProgress();
+
+    // Practice: also throw away the pretend forks and branches
+    if (isPracticeMode()) {
+        resetMockGitHub();
+    }
+
+    clearPRSubmissionView();
+}
+
+// Finished a practice run? Do it again (the pretend fork stays, so
+// this time Step 4 has new commits to sync - like a real second PR)
+function practiceAgain() {
+    delete userProgress.practicePRSubmission;
+    saveProgress();
+    clearPRSubmissionView();
+}
+
+// The "Practice mode" box was ticked or unticked: show that mode's saved state
+function setPracticeMode(enabled) {
+    userProgress.practiceMode = enabled;
+    saveProgress();
+
+    clearPRSubmissionView();
+    restorePRSubmission();
+}
+
+// Page loaded: show the saved checklist (or the success message) again
+function restorePRSubmission() {
+    if (!document.getElementById('submit-pr-btn')) return;
+
+    document.getElementById('practice-mode').checked = isPracticeMode();
+
+    const state = userProgress[getPRStateKey()];
+    if (!state) return;
+
+    document.getElementById('student-name').value = state.name;
+    document.getElementById('github-username').value = state.githubUsername;
+
+    if (!getNextPRStep(state)) {
+        showSuccessMessage(state.name, state.prUrl);
+        return;
+    }
+
+    // Steps that were "running" when the page closed didn't finish
+    PR_SUBMISSION_STEPS.forEach(step => {
+        if (state.steps[step.id].status === 'running') {
+            state.steps[step.id].status = 'pending';
+        }
+    });
+
+    renderPRChecklist(state);
+    updatePRStatus('👋 Welcome back! Your submission is saved - resume where you left off.');
+    updatePRButtons(state);
+}
+
+// Show success celebration!
+function showSuccessMessage(name, prUrl) {
+    const completionArea = document.getElementById('completion-area');
+
+    // Practice PRs only exist in this browser - no link to click
+    if (isPracticeMode()) {
+        showPracticeSuccessMessage(name, prUrl);
+        return;
+    }
+
+    completionArea.innerHTML = `
+        <div class="success-message">
+            <h1>🎉 YOU DID IT, ${escapeHTML(name.toUpperCase())}!</h1>
+            <h2>You just submitted your first Pull Request!</h2>
+
+            <div class="pr-link">
+                <p><strong>View your PR:</strong></p>
+                <a href="${escapeHTML(safeUrl(prUrl))}" target="_blank">${escapeHTML(prUrl)}</a>
+            </div>
+
+            <div class="what-happened">
+                <h3>What You Just Did:</h3>
+                <ul>
+                    <li>✅ Forked a repository to your GitHub account</li>
+                    <li>✅ Synced your fork and created a branch for your change</li>
+                    <li>✅ Made changes to a file (${escapeHTML(PR_CONTRIBUTORS_PATH)})</li>
+                    <li>✅ Committed your changes with a message</li>
+                    <li>✅ Submitted a Pull Request</li>
+                    <li>✅ This now appears on YOUR GitHub profile!</li>
+                </ul>
+            </div>
+
+            <div class="next-steps">
+                <h3>What's Next?</h3>
+                <ul>
+                    <li>Check back on your PR - it might get merged!</li>
+                    <li>Find a project you're interested in</li>
+                    <li>Look for "good first issue" labels</li>
+                    <li>Use the same process you just learned!</li>
+                    <li>Welcome to the open source community! 🚀</li>
+                </ul>
+            </div>
+        </div>
+    `;
+
+    // Hide status and form
+    document.getElementById('pr-status').style.display = 'none';
+    document.querySelector('.pr-submission-form').style.display = 'none';
+}
+
+// Practice run finished: same steps, but nothing real was created
+function showPracticeSuccessMessage(name, prUrl) {
+    const completionArea = document.getElementById('completion-area');
+    const prNumber = prUrl.split('/').pop();
+
+    completionArea.innerHTML = `
+        <div class="success-message">
+            <h1>🧪 PRACTICE RUN COMPLETE, ${escapeHTML(name.toUpperCase())}!</h1>
+            <h2>You opened practice Pull Request #${escapeHTML(prNumber)}</h2>
+
+            <p class="practice-note">
+                This was a rehearsal on a pretend GitHub - nothing was created
+                on github.com. When you're ready, untick "Practice mode", add your
+                GitHub token on the Home page and submit for real!
+            </p>
+
+            <div class="what-happened">
+                <h3>What You Just Practiced:</h3>
+                <ul>
+                    <li>✅ Forking a repository</li>
+                    <li>✅ Syncing your fork and creating a branch for your change</li>
+                    <li>✅ Changing ${escapeHTML(PR_CONTRIBUTORS_PATH)} and committing it</li>
+                    <li>✅ Opening a Pull Request</li>
+                </ul>
+            </div>
+
+            <button id="practice-again-btn" class="prev-btn">🔁 Practice Again</button>
+        </div>
+    `;
+
+    document.getElementById('practice-again-btn').addEventListener('click', practiceAgain);
+
+    // Hide status and form (the practice box is outside it, to switch back)
+    document.getElementById('pr-status').style.display = 'none';
+    document.querySelector('.pr-submission-form').style.display = 'none';
+}
@@ -0,0 +1,251 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    PROFILES - Several Learners, One Browser (+ Export/Import)
+    ═══════════════════════════════════════════════════════════════
+
+    A lab computer is shared by a whole class, and a student might
+    learn at school AND at home. So:
+
+    1. PROFILES:
+       - Every learner gets their own named profile with their own
+         progress (and their own API keys - see credential-store.js)
+       - The switcher on the Home page changes who's learning
+
+    2. EXPORT / IMPORT:
+       - "Export" downloads your progress as a .json file
+       - "Import" on another computer continues where you left off
+       - API keys are NEVER in the file (they're passwords!)
+
+    KEY CONCEPTS:
+
+    1. STORAGE KEYS PER PROFILE:
+       - The first profile ("default") uses the original
+         'osLearningProgress' key, so nobody loses their progress
+       - Other profiles add their id: 'osLearningProgress-k3x9'
+       - getProfileStorageKey() does this for any saved item
+
+    2. DOWNLOADING A FILE FROM JAVASCRIPT:
+       - Put the text in a Blob (a file in memory)
+       - Make a temporary link to it with URL.createObjectURL()
+       - Click the link with download="name.json" → the browser saves it
+
+    3. READING A CHOSEN FILE:
+       - <input type="file"> gives us a File object
+       - await file.text() reads what's inside
+*/
+
+const PROFILES_STORAGE_KEY = 'osLearningProfiles';
+const DEFAULT_PROFILE_ID = 'default';
+
+// What an exported file says it is (so we don't import any random JSON)
+const PROGRESS_EXPORT_TYPE = 'os-learning-progress';
+
+// { activeId, profiles: [{ id, name, createdAt }] } (loaded on first use)
+let profileList = null;
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE PROFILE LIST
+    ═══════════════════════════════════════════════════════════════
+*/
+
+function loadProfiles() {
+    if (profileList) return profileList;
+
+    try {
+        profileList = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY));
+    } catch (error) {
+        profileList = null;
+    }
+
+    // First visit (or damaged list): just the default profile
+    if (!profileList || !Array.isArray(profileList.profiles) || profileList.profiles.length === 0) {
+        profileList = {
+            activeId: DEFAULT_PROFILE_ID,
+            profiles: [{ id: DEFAULT_PROFILE_ID, name: 'Learner 1', createdAt: new Date().toISOString() }]
+        };
+    }
+
+    if (!profileList.profiles.some(profile => profile.id === profileList.activeId)) {
+        profileList.activeId = profileList.profiles[0].id;
+    }
+
+    return profileList;
+}
+
+function saveProfiles() {
+    try {
+        localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(loadProfiles()));
+    } catch (error) {
+        console.error('❌ Error saving profiles:', error);
+    }
+}
+
+// The profile that's learning right now: { id, name, createdAt }
+function getActiveProfile() {
+    const list = loadProfiles();
+    return list.profiles.find(profile => profile.id === list.activeId);
+}
+
+// 'osLearningProgress' → the active profile's version of that key
+function getProfileStorageKey(baseKey) {
+    const id = loadProfiles().activeId;
+    return id === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}-${id}`;
+}
+
+// Add a profile and return it (doesn't switch to it)
+function createProfile(name) {
+    const profile = {
+        id: Date.now().toString(36),
+        name: name,
+        createdAt: new Date().toISOString()
+    };
+
+    loadProfiles().profiles.push(profile);
+    saveProfiles();
+    return profile;
+}
+
+// Switch to another profile: the page reloads, so every part of the
+// app starts fresh with that learner's progress and keys
+function switchProfile(id) {
+    loadProfiles().activeId = id;
+    saveProfiles();
+    window.location.reload();
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    EXPORT & IMPORT
+    ═══════════════════════════════════════════════════════════════
+
+    An exported file looks like:
+    {
+        type: 'os-learning-progress',
+        exportedAt: '2025-10-19T08:00:00.000Z',
+        profileName: 'Jane',
+        progress: { interest, completedModules, quizAttempts, ... }
+    }
+*/
+
+// A copy of the progress that's safe to put in a file (no secrets)
+function buildProgressExport() {
+    const progress = JSON.parse(JSON.stringify(userProgress));
+    CREDENTIAL_FIELDS.forEach(field => delete progress[field]);
+
+    return {
+        type: PROGRESS_EXPORT_TYPE,
+        exportedAt: new Date().toISOString(),
+        profileName: getActiveProfile().name,
+        progress: progress
+    };
+}
+
+// "Export progress" was clicked: download the file
+function exportProgress() {
+    const data = buildProgressExport();
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const safeName = data.profileName.replace(/[^a-z0-9-]+/gi, '-').toLowerCase();
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `open-source-learning-${safeName}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // The browser has the file now - free the memory
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/*
+    Read an exported file's text.
+    RETURNS: The progress object (without any secrets)
+    THROWS: Error with a message for the student if it's not a progress file
+*/
+function parseProgressExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('This file isn\'t a progress file (it isn\'t valid JSON).');
+    }
+
+    if (!data || data.type !== PROGRESS_EXPORT_TYPE || !data.progress || typeof data.progress !== 'object') {
+        throw new Error('This file isn\'t a progress file exported from this course.');
+    }
+
+    // Even if someone added keys to the file by hand, don't take them.
+    // Nor HOW the keys are kept (keyStorage): that belongs to this browser -
+    // taking 'encrypted' from the file would lock away this tab's session keys
+    const progress = data.progress;
+    CREDENTIAL_FIELDS.forEach(field => delete progress[field]);
+    delete progress.keyStorage;
+
+    // Exported by an older version? Upgrade and check it (progress-schema.js)
+    try {
+        return upgradeProgress(progress).progress;
+    } catch (error) {
+        throw new Error('The progress in this file is damaged and can\'t be imported.');
+    }
+}
+
+// A file was chosen in the "Import progress" picker
+async function importProgressFile(file) {
+    let progress;
+    try {
+        progress = parseProgressExport(await file.text());
+    } catch (error) {
+        alert(`❌ ${error.message}`);
+        return;
+    }
+
+    if (!confirm(`Replace the progress of "${getActiveProfile().name}" with the progress from ${file.name}?`)) return;
+
+    // The keys stay exactly as they are - and so does the way they're kept
+    progress.keyStorage = userProgress.keyStorage;
+    userProgress = progress;
+    saveProgress();
+
+    // Start fresh with the imported progress (keys are kept)
+    window.location.reload();
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE PROFILE SWITCHER (Home page)
+    ═══════════════════════════════════════════════════════════════
+*/
+
+function renderProfileSwitcher() {
+    const select = document.getElementById('profile-select');
+    const list = loadProfiles();
+
+    select.innerHTML = list.profiles.map(profile =>
+        `<option value="${escapeHTML(profile.id)}"${profile.id === list.activeId ? ' selected' : ''}>${escapeHTML(profile.name)}</option>`
+    ).join('');
+}
+
+// "New profile" was clicked
+function addProfileFromPrompt() {
+    const name = (prompt('Name for the new learner profile:') || '').trim();
+    if (!name) return;
+
+    const profile = createProfile(name.slice(0, 40));
+    switchProfile(profile.id);
+}
+
+// "Rename" was clicked
+function renameActiveProfileFromPrompt() {
+    const profile = getActiveProfile();
+    const name = (prompt('New name for this learner profile:', profile.name) || '').trim();
+    if (!name) return;
+
+    profile.name = name.slice(0, 40);
+    saveProfiles();
+    renderProfileSwitcher();
+}
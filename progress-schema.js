@@ -0,0 +1,296 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    PROGRESS SCHEMA - The Shape of Saved Progress (and Upgrading It)
+    ═══════════════════════════════════════════════════════════════
+
+    Your progress is saved in localStorage and read back next time
+    (see saveProgress/loadProgress in script.js). But the platform
+    keeps growing: a field added today is MISSING from progress
+    saved last month. And a damaged save shouldn't stop the page
+    from starting. So saved progress goes through three steps:
+
+    1. MIGRATE:  Progress saved by an older version is upgraded
+                 one version at a time (1 → 2 → 3 ...)
+    2. VALIDATE: Every known field is checked. Missing or broken
+                 ones get their default value
+    3. RECOVER:  If it can't be read at all, a copy is put aside,
+                 the student starts fresh and is TOLD what happened
+
+    KEY CONCEPTS:
+
+    1. SCHEMA VERSION:
+       - A number saved WITH the progress: { schemaVersion: 2, ... }
+       - Progress without one was saved before versions existed
+         (that's version 1)
+
+    2. MIGRATION CHAIN:
+       - PROGRESS_MIGRATIONS[1] turns version 1 into version 2,
+         PROGRESS_MIGRATIONS[2] would turn 2 into 3, and so on
+       - Changing the shape of the progress? Bump
+         PROGRESS_SCHEMA_VERSION and add ONE migration - old saves
+         are then walked up the chain to the newest version
+
+    3. DEFAULTS:
+       - createDefaultProgress() is the progress of a brand new
+         student, and the "default value" for every known field
+*/
+
+// The version this code saves (bump it when adding a migration)
+const PROGRESS_SCHEMA_VERSION = 2;
+
+// Where an unreadable save is put aside (so it isn't lost for good)
+const PROGRESS_BACKUP_STORAGE_KEY = 'osLearningProgressBackup';
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    A NEW STUDENT'S PROGRESS
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// User's answers and preferences
+// (The API keys are NOT in here - they're in "credentials", see credential-store.js)
+function createDefaultProgress() {
+    return {
+        // Which version of this shape it is (see above)
+        schemaVersion: PROGRESS_SCHEMA_VERSION,
+
+        // Where the API keys are kept: 'session' or 'encrypted' (credential-store.js)
+        keyStorage: 'session',
+
+        // AI provider settings (see llm-providers.js)
+        llmProvider: 'gemini',  // 'gemini', 'openai' or 'ollama'
+        llmModel: '',           // Empty = provider's default model
+        llmBaseUrl: '',         // Empty = provider's default server URL
+
+        // Module 1 personalization
+        interest: '',           // e.g., "game-development"
+
+        // Module 2 personalization
+        skillLevel: '',         // e.g., "some-experience"
+
+        // Module 3 personalization
+        gitExperience: '',      // e.g., "used-a-little"
+
+        // Which modules are completed
+        completedModules: [],   // Array like [0, 1, 2] means setup (0) and modules 1 and 2 are done
+
+        // Every quiz attempt, by module number (so instructors can see where students struggle)
+        // e.g. { 1: [{ date, score: 2, total: 3, passed: true, questions: [...] }] }
+        quizAttempts: {},
+
+        // Filters and sorting for the GitHub listings (github-listings.js)
+        // e.g. { repos: { language: 'Rust', minStars: 100, updatedWithinDays: 30, sort: 'stars' } }
+        listingFilters: {},
+
+        // Issues saved to the watchlist, and what they looked like (watchlist.js)
+        // e.g. [{ repo: 'owner/name', number: 12, title, url, seen, latest, etags, ... }]
+        watchlist: [],
+
+        // Current module number
+        currentModule: 0
+    };
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    MIGRATIONS (old version → next version)
+    ═══════════════════════════════════════════════════════════════
+*/
+
+const PROGRESS_MIGRATIONS = {
+    // 1 → 2: Before version 2 the API keys were saved IN the progress.
+    // Move them out (into this tab's session storage only)
+    1: progress => {
+        if (migrateCredentialsFromProgress(progress)) {
+            progress.keyStorage = 'session';
+            saveCredentials();
+        }
+        return progress;
+    }
+};
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    VALIDATION
+    ═══════════════════════════════════════════════════════════════
+
+    One check per field: returns true if the value is usable.
+    Fields that aren't always there (like the PR checklist) are
+    only checked if they exist.
+*/
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isString(value) {
+    return typeof value === 'string';
+}
+
+// 0 = home, 1 to the number of modules in curriculum.js
+function isModuleNumber(value) {
+    return Number.isInteger(value) && value >= 0 && value <= COURSE.modules.length;
+}
+
+// A snapshot is missing (not checked yet) or has the fields watchlist.js compares
+function isIssueSnapshot(value) {
+    return value === null || (isPlainObject(value) && Array.isArray(value.assignees));
+}
+
+// A saved issue on the watchlist (watchlist.js)
+function isWatchedIssueEntry(entry) {
+    return isPlainObject(entry) &&
+        isString(entry.repo) && /^[\w.-]+\/[\w.-]+$/.test(entry.repo) &&
+        Number.isInteger(entry.number) && entry.number > 0 &&
+        isString(entry.title) && isString(entry.url) &&
+        isIssueSnapshot(entry.seen) && isIssueSnapshot(entry.latest) &&
+        isPlainObject(entry.etags);
+}
+
+const PROGRESS_FIELD_CHECKS = {
+    keyStorage: value => value === 'session' || value === 'encrypted',
+    llmProvider: value => isString(value) && Object.prototype.hasOwnProperty.call(LLM_PROVIDERS, value),
+    llmModel: isString,
+    llmBaseUrl: isString,
+    interest: isString,
+    skillLevel: isString,
+    gitExperience: isString,
+    completedModules: Array.isArray,
+    quizAttempts: isPlainObject,
+    listingFilters: isPlainObject,
+    watchlist: Array.isArray,
+    currentModule: isModuleNumber,
+
+    // Optional fields
+    practiceMode: value => typeof value === 'boolean',
+    githubLogin: isString,
+    prSubmission: isPlainObject,
+    practicePRSubmission: isPlainObject
+};
+
+/*
+    Check every field and fix what's broken.
+    RETURNS: The names of the fields that had to be fixed
+*/
+function repairProgress(progress) {
+    const defaults = createDefaultProgress();
+    const repaired = [];
+
+    Object.keys(PROGRESS_FIELD_CHECKS).forEach(field => {
+        if (!(field in progress)) {
+            // Missing: a field that's newer than the save - just add it
+            if (field in defaults) progress[field] = defaults[field];
+            return;
+        }
+
+        if (PROGRESS_FIELD_CHECKS[field](progress[field])) return;
+
+        repaired.push(field);
+        if (field in defaults) {
+            progress[field] = defaults[field];
+        } else {
+            delete progress[field];
+        }
+    });
+
+    // Completed modules: only real module numbers, each once
+    // (0 = the setup on Home, recorded by startLearning - it unlocks Module 1)
+    const modules = progress.completedModules.filter(isModuleNumber);
+    const uniqueModules = [...new Set(modules)];
+    if (uniqueModules.length !== progress.completedModules.length) {
+        repaired.push('completedModules');
+        progress.completedModules = uniqueModules;
+    }
+
+    // Quiz attempts: a list of attempts for each module
+    Object.keys(progress.quizAttempts).forEach(moduleNumber => {
+        if (!Array.isArray(progress.quizAttempts[moduleNumber])) {
+            repaired.push('quizAttempts');
+            delete progress.quizAttempts[moduleNumber];
+        }
+    });
+
+    // Watchlist: saved issues need at least a project and an issue number
+    const watched = progress.watchlist.filter(isWatchedIssueEntry);
+    if (watched.length !== progress.watchlist.length) {
+        repaired.push('watchlist');
+        progress.watchlist = watched;
+    }
+
+    return [...new Set(repaired)];
+}
+
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    PUTTING IT TOGETHER
+    ═══════════════════════════════════════════════════════════════
+*/
+
+/*
+    Bring saved progress up to date: migrate, then validate.
+
+    PARAMETERS:
+    - saved: The object read from storage (or from an exported file)
+
+    RETURNS: { progress, changed }
+    - changed: true if anything was upgraded or fixed (worth saving)
+
+    THROWS: Error if it isn't progress at all (nothing to recover)
+*/
+function upgradeProgress(saved) {
+    if (!isPlainObject(saved)) {
+        throw new Error('The saved progress isn\'t an object.');
+    }
+
+    const progress = saved;
+    const savedVersion = progress.schemaVersion === undefined ? 1 : progress.schemaVersion;
+    if (!Number.isInteger(savedVersion) || savedVersion < 1) {
+        throw new Error(`The saved progress has an unknown version (${savedVersion}).`);
+    }
+
+    if (savedVersion > PROGRESS_SCHEMA_VERSION) {
+        // Saved by a NEWER copy of the platform - keep what we understand
+        console.warn(`⚠️ This progress is from a newer version (${savedVersion}) of the platform.`);
+    }
+
+    // Walk up the chain: 1 → 2 → ... → PROGRESS_SCHEMA_VERSION
+    for (let version = savedVersion; version < PROGRESS_SCHEMA_VERSION; version++) {
+        PROGRESS_MIGRATIONS[version](progress);
+        console.log(`⬆️ Upgraded saved progress from version ${version} to ${version + 1}`);
+    }
+    progress.schemaVersion = Math.max(savedVersion, PROGRESS_SCHEMA_VERSION);
+
+    const repaired = repairProgress(progress);
+    if (repaired.length > 0) {
+        console.warn('⚠️ Some saved progress was damaged and has been reset:', repaired.join(', '));
+    }
+
+    return {
+        progress: progress,
+        changed: savedVersion !== progress.schemaVersion || repaired.length > 0
+    };
+}
+
+/*
+    The saved progress can't be read: keep a copy of it aside,
+    start fresh and tell the student (instead of failing quietly).
+
+    RETURNS: A new student's progress
+*/
+function recoverFromUnreadableProgress(savedText, error) {
+    console.error('❌ Saved progress could not be read:', error.message);
+
+    try {
+        localStorage.setItem(getProfileStorageKey(PROGRESS_BACKUP_STORAGE_KEY), savedText);
+    } catch (backupError) {
+        console.error('❌ Could not keep a copy of the unreadable progress:', backupError);
+    }
+
+    document.getElementById('progress-recovery-banner').style.display = 'block';
+    return createDefaultProgress();
+}
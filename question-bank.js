@@ -0,0 +1,216 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    QUESTION BANK - Quiz Questions for Every Module
+    ═══════════════════════════════════════════════════════════════
+
+    Each module's quiz (in curriculum.js) names a bank from this file.
+    Every time the quiz loads, quiz-engine.js picks a few questions
+    from the bank at random and shuffles their options - so two
+    students (or two attempts) rarely see the same quiz.
+
+    QUESTION TYPES:
+
+    1. single - pick ONE option (radio buttons)
+       answer: 'b'
+
+    2. multi - pick ALL correct options (checkboxes)
+       answer: ['a', 'c']
+
+    3. short - type the answer (text box)
+       accept: ['fork', 'forking']  (not case-sensitive)
+
+    EVERY QUESTION HAS:
+    - id: Unique name (saved with quiz attempts, so instructors can see
+          which questions students struggle with - don't rename it!)
+    - question: The question text
+    - explanation: Shown after checking, whether right or wrong
+*/
+
+const QUESTION_BANK = {
+
+    // ─────────────────────────────────────────────────────────────
+    // MODULE 1: Understanding Open Source
+    // ─────────────────────────────────────────────────────────────
+    'open-source-basics': [
+        {
+            id: 'os-definition',
+            type: 'single',
+            question: 'What does "open source" mean?',
+            options: [
+                ['a', 'Source code that is free to download but cannot be modified'],
+                ['b', 'Source code that anyone can view, use, modify, and share'],
+                ['c', 'Software that only works on open platforms like Linux']
+            ],
+            answer: 'b',
+            explanation: 'Open source code is publicly available for anyone to view, use, modify, and share - within the terms of its license.'
+        },
+        {
+            id: 'os-license-gpl',
+            type: 'single',
+            question: 'Which license requires you to share your modifications when you distribute the software?',
+            options: [
+                ['a', 'MIT'],
+                ['b', 'Apache 2.0'],
+                ['c', 'GPL']
+            ],
+            answer: 'c',
+            explanation: 'The GPL is a "copyleft" license: if you distribute modified code, you must share your changes under the GPL too.'
+        },
+        {
+            id: 'os-benefits',
+            type: 'multi',
+            question: 'Which of these are benefits of contributing to open source? (Select all that apply)',
+            options: [
+                ['a', 'Building a public portfolio of your work'],
+                ['b', 'Meeting and learning from developers around the world'],
+                ['c', 'Getting paid automatically for every contribution'],
+                ['d', 'Improving software that you and others use']
+            ],
+            answer: ['a', 'b', 'd'],
+            explanation: 'Contributions build your portfolio, your network and the tools you use. Most open source work is unpaid (though some projects do offer sponsorship).'
+        },
+        {
+            id: 'os-license-file',
+            type: 'short',
+            question: 'What kind of file tells you what you\'re legally allowed to do with an open source project\'s code? (One word)',
+            accept: ['license', 'licence', 'license file', 'LICENSE.md'],
+            explanation: 'The LICENSE file (for example MIT, GPL or Apache 2.0) defines how the code can be used, changed and shared.'
+        },
+        {
+            id: 'os-mit',
+            type: 'single',
+            question: 'Which license is known for being very permissive - letting you do almost anything with the code?',
+            options: [
+                ['a', 'MIT'],
+                ['b', 'GPL'],
+                ['c', 'Proprietary']
+            ],
+            answer: 'a',
+            explanation: 'The MIT license only asks you to keep the copyright notice - you can use, change and even sell the code.'
+        }
+    ],
+
+    // ─────────────────────────────────────────────────────────────
+    // MODULE 2: Finding Your First Issue
+    // ─────────────────────────────────────────────────────────────
+    'finding-issues': [
+        {
+            id: 'issues-label',
+            type: 'single',
+            question: 'What label should you look for when finding your first issue?',
+            options: [
+                ['a', '"critical-bug"'],
+                ['b', '"good first issue"'],
+                ['c', '"needs-expert-review"']
+            ],
+            answer: 'b',
+            explanation: 'Maintainers use "good first issue" to mark tasks they have scoped specifically for newcomers.'
+        },
+        {
+            id: 'issues-red-flags',
+            type: 'multi',
+            question: 'Which of these are red flags when choosing a project? (Select all that apply)',
+            options: [
+                ['a', 'No activity in 6+ months'],
+                ['b', 'Friendly maintainers who answer questions'],
+                ['c', 'Lots of open PRs with no maintainer response'],
+                ['d', 'Vague issue descriptions']
+            ],
+            answer: ['a', 'c', 'd'],
+            explanation: 'Inactive projects, ignored PRs and vague issues make it hard to get your contribution reviewed. Friendly maintainers are a great sign!'
+        },
+        {
+            id: 'issues-docs-label',
+            type: 'short',
+            question: 'Which label marks issues about improving docs - often great for beginners? (One word)',
+            accept: ['documentation', 'docs', 'doc'],
+            explanation: '"documentation" issues usually need no deep knowledge of the code - a perfect first step.'
+        },
+        {
+            id: 'issues-help-wanted',
+            type: 'single',
+            question: 'What does the "help wanted" label usually mean?',
+            options: [
+                ['a', 'The person who opened the issue needs tech support'],
+                ['b', 'Maintainers are looking for contributors to work on it'],
+                ['c', 'The issue is closed and no longer needs work']
+            ],
+            answer: 'b',
+            explanation: '"help wanted" signals that maintainers would welcome an outside contribution on this issue.'
+        },
+        {
+            id: 'issues-good-signs',
+            type: 'single',
+            question: 'Which issue is the BEST choice for a first contribution?',
+            options: [
+                ['a', '"Refactor the entire rendering engine"'],
+                ['b', '"Fix typo in README installation section" with clear steps'],
+                ['c', '"Something is broken, please fix"']
+            ],
+            answer: 'b',
+            explanation: 'Small, clearly described issues let you focus on learning the contribution workflow.'
+        }
+    ],
+
+    // ─────────────────────────────────────────────────────────────
+    // MODULE 3: Making Your First Contribution
+    // ─────────────────────────────────────────────────────────────
+    'git-workflow': [
+        {
+            id: 'git-first-step',
+            type: 'single',
+            question: 'What\'s the first step in contributing to an open source project?',
+            options: [
+                ['a', 'Create a pull request immediately'],
+                ['b', 'Fork the repository to your account'],
+                ['c', 'Email the project owner']
+            ],
+            answer: 'b',
+            explanation: 'Forking creates your own copy of the project that you\'re allowed to change.'
+        },
+        {
+            id: 'git-fork-term',
+            type: 'short',
+            question: 'What do you call your own copy of someone else\'s repository on GitHub? (One word)',
+            accept: ['fork', 'a fork'],
+            explanation: 'A fork is your personal copy of a repository - you make changes there, then open a PR back to the original.'
+        },
+        {
+            id: 'git-commit-messages',
+            type: 'multi',
+            question: 'Which of these are good commit messages? (Select all that apply)',
+            options: [
+                ['a', 'Fix typo in README installation section'],
+                ['b', 'fixed stuff'],
+                ['c', 'Add example for beginners to docs'],
+                ['d', 'asdf']
+            ],
+            answer: ['a', 'c'],
+            explanation: 'Good commit messages start with a verb and say specifically what changed.'
+        },
+        {
+            id: 'git-branch',
+            type: 'single',
+            question: 'Why should you create a new branch before making changes?',
+            options: [
+                ['a', 'GitHub won\'t let you commit without one'],
+                ['b', 'It keeps your changes separate, so your main branch stays clean'],
+                ['c', 'Branches make your code run faster']
+            ],
+            answer: 'b',
+            explanation: 'A branch isolates one piece of work - you can open a PR from it and keep main in sync with the original project.'
+        },
+        {
+            id: 'git-pr-order',
+            type: 'single',
+            question: 'Which order is correct?',
+            options: [
+                ['a', 'Fork → Clone → Branch → Edit → Commit → Push → Pull Request'],
+                ['b', 'Clone → Pull Request → Fork → Commit'],
+                ['c', 'Edit → Pull Request → Fork → Push']
+            ],
+            answer: 'a',
+            explanation: 'You copy the project (fork, clone), work on a branch (edit, commit), upload it (push) and then ask for it to be included (PR).'
+        }
+    ]
+};
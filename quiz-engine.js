@@ -0,0 +1,459 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    QUIZ ENGINE - Question Picking, Rendering and Scoring
+    ═══════════════════════════════════════════════════════════════
+
+    Turns a module's quiz settings (curriculum.js) and its questions
+    (question-bank.js) into a working quiz.
+
+    HOW A QUIZ WORKS:
+    1. renderQuiz() picks a few random questions from the bank and
+       shuffles their options
+    2. The student answers and clicks "Check Answers"
+    3. gradeQuiz() scores every question
+    4. showQuizResults() marks each question right/wrong and shows
+       its explanation
+    5. script.js saves the attempt in userProgress and unlocks the
+       next module if the score reaches the pass threshold
+
+    Once the AI has written a module's lesson, the student can also
+    ask for a few questions ABOUT that lesson (see AI-GENERATED
+    QUESTIONS at the bottom). They're added to the random ones.
+
+    QUIZ SETTINGS (in curriculum.js):
+    - bank: Name of a question bank in question-bank.js
+    - questions: ...or a list of questions written right there
+    - questionCount: How many questions to ask (default: 3)
+    - passThreshold: Fraction needed to pass, 0 to 1 (default: 0.6)
+    - aiQuestions: How many extra questions the AI may write about the
+      student's personalized lesson (default: 2, 0 = never)
+*/
+
+const QUIZ_DEFAULT_QUESTION_COUNT = 3;
+const QUIZ_DEFAULT_PASS_THRESHOLD = 0.6;
+const QUIZ_DEFAULT_AI_QUESTION_COUNT = 2;
+
+// The questions currently on screen, by module number
+// (they're random, so we need to remember which ones we picked)
+const activeQuizzes = {};
+
+// Extra questions the AI wrote about each module's lesson
+// (added to every new set of random questions until the lesson changes)
+const generatedQuizQuestions = {};
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    PICKING QUESTIONS
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Return a shuffled COPY of an array (Fisher-Yates shuffle)
+// Walks backwards, swapping each item with a random earlier one
+function shuffleArray(array) {
+    const copy = array.slice();
+
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+
+    return copy;
+}
+
+// All questions a quiz can choose from
+function getQuizQuestionPool(quizDef) {
+    if (quizDef.questions) return quizDef.questions;
+
+    const bank = QUESTION_BANK[quizDef.bank];
+    if (!bank) {
+        console.error(`Question bank "${quizDef.bank}" not found in question-bank.js`);
+        return [];
+    }
+
+    return bank;
+}
+
+// Shuffle a question's options (returns a copy, the bank stays untouched)
+function shuffleQuestionOptions(question) {
+    return Object.assign({}, question, {
+        options: question.options ? shuffleArray(question.options) : undefined
+    });
+}
+
+// Pick random questions and shuffle each question's options
+// Extra questions (e.g. AI-generated ones) are always added at the end
+function pickQuizQuestions(quizDef, extraQuestions) {
+    const count = quizDef.questionCount || QUIZ_DEFAULT_QUESTION_COUNT;
+
+    return shuffleArray(getQuizQuestionPool(quizDef))
+        .slice(0, count)
+        .concat(extraQuestions || [])
+        .map(shuffleQuestionOptions);
+}
+
+// Fraction of questions needed to pass (e.g. 0.6 = 60%)
+function getPassThreshold(quizDef) {
+    return typeof quizDef.passThreshold === 'number' ? quizDef.passThreshold : QUIZ_DEFAULT_PASS_THRESHOLD;
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    RENDERING
+    ═══════════════════════════════════════════════════════════════
+
+    Each question gets its own block. Input names include the question
+    id (name="quiz-1-os-definition") so radio buttons of different
+    questions don't interfere with each other.
+*/
+
+function buildQuestionHTML(moduleNumber, question, index) {
+    const inputName = `quiz-${moduleNumber}-${question.id}`;
+    let answerHTML = '';
+
+    if (question.type === 'short') {
+        answerHTML = `<input type="text" class="quiz-short-answer" name="${escapeHTML(inputName)}" placeholder="Type your answer">`;
+    } else {
+        // multi = checkboxes (many answers), single = radio buttons (one answer)
+        const inputType = question.type === 'multi' ? 'checkbox' : 'radio';
+
+        answerHTML = `<div class="quiz-options">${question.options.map(([value, text]) => `
+            <label>
+                <input type="${inputType}" name="${escapeHTML(inputName)}" value="${escapeHTML(value)}">
+                ${escapeHTML(text)}
+            </label>
+        `).join('')}</div>`;
+    }
+
+    return `
+        <div class="quiz-question-block" data-question-id="${escapeHTML(question.id)}">
+            <p class="quiz-question">${index + 1}. ${escapeHTML(question.question)}${question.generated ? ' <span class="quiz-ai-badge">✨ About your lesson</span>' : ''}</p>
+            ${answerHTML}
+            <p class="quiz-explanation" style="display: none;"></p>
+        </div>
+    `;
+}
+
+// Pick fresh questions for a module and put them on the page
+function renderQuiz(moduleNumber, questions) {
+    const quizDef = getCourseModule(moduleNumber).quiz;
+    const picked = questions || pickQuizQuestions(quizDef, generatedQuizQuestions[moduleNumber]);
+    activeQuizzes[moduleNumber] = picked;
+
+    const container = document.getElementById(`quiz-questions-${moduleNumber}`);
+    container.innerHTML = picked.map((question, index) => buildQuestionHTML(moduleNumber, question, index)).join('');
+
+    // Intro line: "3 questions · get at least 2 right to pass"
+    const needed = Math.ceil(getPassThreshold(quizDef) * picked.length);
+    const aboutLesson = picked.filter(question => question.generated).length;
+    document.getElementById(`quiz-intro-${moduleNumber}`).textContent =
+        `${picked.length} question${picked.length === 1 ? '' : 's'}` +
+        (aboutLesson ? ` (${aboutLesson} about your lesson)` : '') +
+        ` · get at least ${needed} right to pass`;
+
+    // Clear any old feedback
+    const feedback = document.getElementById(`quiz-feedback-${moduleNumber}`);
+    feedback.style.display = 'none';
+    feedback.textContent = '';
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    GRADING
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// Lowercase, trim, squash spaces, drop quotes and final punctuation
+// So " Fork. " and "fork" count as the same answer
+function normalizeShortAnswer(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/["'`]/g, '')
+        .replace(/\s+/g, ' ')
+        .replace(/[.!?]+$/, '')
+        .trim();
+}
+
+// Read what the student entered for one question
+// Returns '' / [] when they haven't answered
+function readQuizAnswer(moduleNumber, question) {
+    const inputName = `quiz-${moduleNumber}-${question.id}`;
+
+    if (question.type === 'short') {
+        const input = document.querySelector(`input[name="${CSS.escape(inputName)}"]`);
+        return input ? input.value.trim() : '';
+    }
+
+    const checked = Array.from(document.querySelectorAll(`input[name="${CSS.escape(inputName)}"]:checked`))
+        .map(input => input.value);
+
+    return question.type === 'multi' ? checked : (checked[0] || '');
+}
+
+function isAnswerCorrect(question, answer) {
+    if (question.type === 'short') {
+        const accepted = question.accept.map(normalizeShortAnswer);
+        return accepted.includes(normalizeShortAnswer(answer));
+    }
+
+    if (question.type === 'multi') {
+        // Must pick EXACTLY the right set - no missing, no extra
+        const expected = question.answer.slice().sort();
+        const given = answer.slice().sort();
+        return expected.length === given.length && expected.every((value, i) => value === given[i]);
+    }
+
+    return answer === question.answer;
+}
+
+/*
+    Score the quiz currently on screen.
+
+    RETURNS:
+    - null if any question is unanswered
+    - otherwise { results, score, total, passed }
+      results = [{ question, answer, correct }, ...]
+*/
+function gradeQuiz(moduleNumber) {
+    const quizDef = getCourseModule(moduleNumber).quiz;
+    const questions = activeQuizzes[moduleNumber] || [];
+
+    const results = questions.map(question => {
+        const answer = readQuizAnswer(moduleNumber, question);
+        return { question: question, answer: answer, correct: isAnswerCorrect(question, answer) };
+    });
+
+    const unanswered = results.some(result => Array.isArray(result.answer) ? result.answer.length === 0 : !result.answer);
+    if (unanswered) return null;
+
+    const score = results.filter(result => result.correct).length;
+
+    return {
+        results: results,
+        score: score,
+        total: results.length,
+        passed: score >= Math.ceil(getPassThreshold(quizDef) * results.length)
+    };
+}
+
+// Mark each question right/wrong, show explanations and the overall score
+function showQuizResults(moduleNumber, grade) {
+    grade.results.forEach(result => {
+        const block = document.querySelector(
+            `#quiz-questions-${moduleNumber} .quiz-question-block[data-question-id="${CSS.escape(result.question.id)}"]`
+        );
+        const explanation = block.querySelector('.quiz-explanation');
+
+        block.classList.remove('correct', 'incorrect');
+        block.classList.add(result.correct ? 'correct' : 'incorrect');
+
+        explanation.textContent = `${result.correct ? '✅ Correct!' : '❌ Not quite.'} ${result.question.explanation || ''}`;
+        explanation.style.display = 'block';
+    });
+
+    const feedback = document.getElementById(`quiz-feedback-${moduleNumber}`);
+    feedback.textContent = grade.passed
+        ? `✅ You scored ${grade.score}/${grade.total}! You can now proceed to the next module.`
+        : `❌ You scored ${grade.score}/${grade.total}. Review the explanations and try again!`;
+    feedback.className = `quiz-feedback ${grade.passed ? 'correct' : 'incorrect'}`;
+    feedback.style.display = 'block';
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    AI-GENERATED QUESTIONS
+    ═══════════════════════════════════════════════════════════════
+
+    The lessons are personalized, so the AI can also write a few
+    questions about the lesson it just wrote (a data science student
+    gets asked about pandas, not generic trivia).
+
+    WHY SO MUCH CHECKING?
+    The AI's answer is just text - it might be broken JSON, have the
+    "correct" answer pointing at an option that doesn't exist, or have
+    missing fields. A broken question could make the quiz impossible
+    to pass, so:
+    - Every question is checked against QUIZ_AI_QUESTION_SCHEMA
+    - Anything that doesn't fit is DROPPED (with a console warning)
+    - If nothing survives, the student simply gets the normal quiz
+
+    THE JSON WE ASK FOR (answers are option numbers, starting at 0):
+    {
+      "questions": [
+        { "type": "single", "question": "...", "options": ["...", "...", "..."],
+          "answer": 1, "explanation": "..." },
+        { "type": "multi", "question": "...", "options": ["...", "...", "..."],
+          "answer": [0, 2], "explanation": "..." },
+        { "type": "short", "question": "...", "accept": ["...", "..."],
+          "explanation": "..." }
+      ]
+    }
+*/
+
+// Limits for generated questions (keeps the quiz readable)
+const QUIZ_AI_QUESTION_SCHEMA = {
+    types: ['single', 'multi', 'short'],
+    maxQuestionLength: 300,
+    minOptions: 2,
+    maxOptions: 5,
+    maxOptionLength: 200,
+    maxAccepted: 6,
+    maxAcceptedLength: 60,
+    maxExplanationLength: 500
+};
+
+// How many questions the AI should write for this module (0 = feature off)
+function getAIQuestionCount(quizDef) {
+    return typeof quizDef.aiQuestions === 'number' ? quizDef.aiQuestions : QUIZ_DEFAULT_AI_QUESTION_COUNT;
+}
+
+// Prompt asking for questions about the lesson, in our JSON format
+function buildQuizQuestionPrompt(lessonText, progress, count) {
+    return `You are writing quiz questions for a beginner open source course.
+The student is interested in ${progress.interest || 'open source in general'} and their coding experience is "${progress.skillLevel || 'unknown'}".
+
+Here is the lesson they just read:
+--- LESSON START ---
+${lessonText}
+--- LESSON END ---
+
+Write ${count} quiz questions that can be answered from THIS lesson. Prefer questions about the specific tools, projects and ideas it mentions.
+
+Reply with JSON only, in exactly this format:
+{
+  "questions": [
+    { "type": "single", "question": "...", "options": ["...", "...", "..."], "answer": 0, "explanation": "..." }
+  ]
+}
+
+Rules:
+- "type" is "single" (one correct option), "multi" (several correct options) or "short" (a one or two word typed answer)
+- "single": "answer" is the number of the correct option (first option = 0)
+- "multi": "answer" is a list of option numbers, e.g. [0, 2]
+- "short": leave out "options" and "answer", and give "accept": a list of accepted spellings
+- ${QUIZ_AI_QUESTION_SCHEMA.minOptions} to ${QUIZ_AI_QUESTION_SCHEMA.maxOptions} options per question
+- "explanation" is one friendly sentence saying why the answer is right`;
+}
+
+// Non-empty string no longer than maxLength?
+function isShortText(value, maxLength) {
+    return typeof value === 'string' && value.trim() !== '' && value.length <= maxLength;
+}
+
+// Valid option number for a list of options?
+function isOptionIndex(value, options) {
+    return Number.isInteger(value) && value >= 0 && value < options.length;
+}
+
+/*
+    Check one question from the AI against the schema.
+
+    RETURNS:
+    - '' if it's fine
+    - otherwise a short description of the first problem found
+*/
+function findGeneratedQuestionProblem(raw) {
+    const schema = QUIZ_AI_QUESTION_SCHEMA;
+
+    if (!raw || typeof raw !== 'object') return 'not an object';
+    if (!schema.types.includes(raw.type)) return `unknown type "${raw.type}"`;
+    if (!isShortText(raw.question, schema.maxQuestionLength)) return 'missing or too long "question"';
+    if (raw.explanation !== undefined && typeof raw.explanation !== 'string') return '"explanation" is not text';
+    if (raw.explanation && raw.explanation.length > schema.maxExplanationLength) return '"explanation" is too long';
+
+    if (raw.type === 'short') {
+        if (!Array.isArray(raw.accept) || raw.accept.length === 0 || raw.accept.length > schema.maxAccepted) {
+            return '"accept" must be a list of answers';
+        }
+        if (!raw.accept.every(answer => isShortText(answer, schema.maxAcceptedLength))) {
+            return '"accept" has an empty or too long answer';
+        }
+        return '';
+    }
+
+    const options = raw.options;
+    if (!Array.isArray(options) || options.length < schema.minOptions || options.length > schema.maxOptions) {
+        return `needs ${schema.minOptions}-${schema.maxOptions} options`;
+    }
+    if (!options.every(option => isShortText(option, schema.maxOptionLength))) {
+        return 'has an empty or too long option';
+    }
+
+    const texts = options.map(option => option.trim().toLowerCase());
+    if (new Set(texts).size !== texts.length) return 'has duplicate options';
+
+    if (raw.type === 'single') {
+        return isOptionIndex(raw.answer, options) ? '' : '"answer" is not an option number';
+    }
+
+    // multi
+    if (!Array.isArray(raw.answer) || raw.answer.length === 0) return '"answer" must be a list of option numbers';
+    if (!raw.answer.every(index => isOptionIndex(index, options))) return '"answer" has an invalid option number';
+    if (new Set(raw.answer).size !== raw.answer.length) return '"answer" lists an option twice';
+    return '';
+}
+
+// Turn a checked AI question into the same shape as question-bank.js
+// Option numbers 0, 1, 2 become ids 'a', 'b', 'c'
+function convertGeneratedQuestion(raw, moduleNumber, index) {
+    const letter = number => String.fromCharCode(97 + number);  // 97 = 'a'
+    const question = {
+        id: `ai-${moduleNumber}-${index + 1}`,
+        type: raw.type,
+        question: raw.question.trim(),
+        explanation: (raw.explanation || '').trim(),
+        generated: true
+    };
+
+    if (raw.type === 'short') {
+        question.accept = raw.accept.map(answer => answer.trim());
+    } else {
+        question.options = raw.options.map((text, number) => [letter(number), text.trim()]);
+        question.answer = raw.type === 'multi' ? raw.answer.map(letter) : letter(raw.answer);
+    }
+
+    return question;
+}
+
+/*
+    Read the AI's answer and keep only the valid questions.
+
+    Accepts { "questions": [...] } or a bare [...] list, and ignores
+    Markdown code fences (```json ... ```) around the JSON.
+
+    RETURNS: A list of at most maxCount questions
+             (can be EMPTY - never throws)
+*/
+function parseGeneratedQuizQuestions(text, moduleNumber, maxCount) {
+    let data;
+
+    try {
+        const cleaned = String(text || '').replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+        data = JSON.parse(cleaned);
+    } catch (error) {
+        console.warn('⚠️ AI quiz questions were not valid JSON - using the normal quiz.', error.message);
+        return [];
+    }
+
+    const list = Array.isArray(data) ? data : (data && data.questions);
+    if (!Array.isArray(list)) {
+        console.warn('⚠️ AI quiz answer had no "questions" list - using the normal quiz.');
+        return [];
+    }
+
+    const valid = [];
+    list.forEach((raw, index) => {
+        const problem = findGeneratedQuestionProblem(raw);
+
+        if (problem) {
+            console.warn(`⚠️ Dropped AI quiz question ${index + 1}: ${problem}`);
+        } else if (valid.length < maxCount) {
+            valid.push(convertGeneratedQuestion(raw, moduleNumber, valid.length));
+        }
+    });
+
+    return valid;
+}
@@ -0,0 +1,424 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    REPO HEALTH - How Beginner-Friendly Is This Project?
+    ═══════════════════════════════════════════════════════════════
+
+    Lots of stars doesn't mean "good for a first contribution". A
+    huge project can leave newcomers waiting for weeks. So every
+    project in Module 1's list gets a HEALTH CARD, built from
+    GitHub's API:
+
+    - 📄 Does it have a CONTRIBUTING guide, a code of conduct and a license?
+    - 🕒 When was the last commit?
+    - 🏷️ How many open good first issues are waiting?
+    - 💬 How long do new issues wait for a first reply (the median)?
+    - 🔀 How many recently closed Pull Requests were merged?
+
+    All of that is rolled into one BEGINNER-FRIENDLINESS SCORE out of
+    100. The "Beginner-friendly first" sort (github-listings.js) puts
+    the highest scores first within each batch of five projects.
+
+    KEY CONCEPTS:
+
+    1. MEDIAN:
+       - The middle value once the numbers are sorted. Unlike the
+         average, one issue that waited a year doesn't drown out
+         twenty that got a reply the same day
+       - Issues still waiting for a reply count too (as "waiting
+         since they were opened") - otherwise silence would look fast
+
+    2. SAMPLING:
+       - We don't read a project's whole history - just its latest
+         issues and Pull Requests. Enough to see how it's doing NOW
+
+    3. ONE MISSING PIECE ISN'T A FAILURE:
+       - Each measurement is fetched separately. If one can't be
+         read, the card says "unknown" and the rest still shows
+
+    4. GO EASY ON THE RATE LIMIT:
+       - A health card costs a few dozen requests, and without a token
+         GitHub only allows 60 an hour - for the WHOLE course
+       - So: at most REPO_HEALTH_MAX_COMMENT_PAGES pages of comments
+         per issue, only a few requests at a time (repoHealthRequest),
+         and every complete card is saved for a day (localStorage) so a
+         reload or a "Load more" doesn't measure the same project again
+       - Without a token, the reply time (one request per issue) is
+         skipped - the card says "unknown" for it
+*/
+
+// How many recent issues / closed Pull Requests to look at
+const REPO_HEALTH_SAMPLE_ISSUES = 20;
+const REPO_HEALTH_SAMPLE_PULLS = 30;
+
+// Pages of comments (100 each) to read looking for a first reply -
+// no reply in those counts as "no reply found"
+const REPO_HEALTH_MAX_COMMENT_PAGES = 2;
+
+// How many health check requests may be waiting on GitHub at once
+const REPO_HEALTH_CONCURRENCY = 4;
+
+// Saved health cards: 'owner/name' → { savedAt, withToken, health }
+const REPO_HEALTH_STORAGE_KEY = 'osLearningRepoHealth';
+const REPO_HEALTH_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const REPO_HEALTH_MAX_SAVED = 50;
+
+// 'owner/name' → Promise of its health (each project is measured once per visit)
+const repoHealthCache = new Map();
+
+// Health check requests on their way, and the ones waiting for a turn
+let repoHealthActiveRequests = 0;
+const repoHealthWaitingRequests = [];
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE MEASUREMENTS
+    ═══════════════════════════════════════════════════════════════
+
+    Each one returns null if GitHub couldn't tell us.
+*/
+
+// A measurement that fails just becomes "unknown"
+// (failures: an optional array - each failure's error is added to it)
+async function measureOrNull(measure, repoName, failures) {
+    try {
+        return await measure();
+    } catch (error) {
+        console.warn(`⚠️ Part of the health check for ${repoName} failed:`, error.message);
+        if (failures) failures.push(error);
+        return null;
+    }
+}
+
+/*
+    githubRequest() for the health check - but only REPO_HEALTH_CONCURRENCY
+    at a time, however many projects are being measured. The others
+    wait in line; a finished request hands its turn to the next one.
+*/
+async function repoHealthRequest(path, token) {
+    if (repoHealthActiveRequests < REPO_HEALTH_CONCURRENCY) {
+        repoHealthActiveRequests++;
+    } else {
+        await new Promise(resolve => repoHealthWaitingRequests.push(resolve));
+    }
+
+    try {
+        return await githubRequest(path, { token: token });
+    } finally {
+        const next = repoHealthWaitingRequests.shift();
+        if (next) {
+            next();
+        } else {
+            repoHealthActiveRequests--;
+        }
+    }
+}
+
+// Comments from bots (CI, labelers...) aren't a real reply
+function isBotUser(user) {
+    return !user || user.type === 'Bot' || /\[bot\]$/.test(user.login);
+}
+
+// The middle value of a list of numbers (null for an empty list)
+function median(values) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// GitHub's "community profile": which of the standard files exist
+async function fetchCommunityFiles(repoName, token) {
+    const profile = await repoHealthRequest(`/repos/${repoName}/community/profile`, token);
+    const files = profile.files || {};
+
+    return {
+        contributing: Boolean(files.contributing),
+        codeOfConduct: Boolean(files.code_of_conduct),
+        license: files.license ? (files.license.spdx_id || files.license.name || 'Yes') : null
+    };
+}
+
+// The date of the newest commit on the default branch
+async function fetchLastCommitDate(repoName, token) {
+    const commits = await repoHealthRequest(`/repos/${repoName}/commits?per_page=1`, token);
+    return commits.length > 0 ? new Date(commits[0].commit.committer.date) : null;
+}
+
+/*
+    Open issues with a good-first-issue label (any of its usual
+    names - see ISSUE_LABEL_ALIASES in github-api.js).
+    RETURNS: { count, more } - more = true if there are even more than that
+*/
+async function countGoodFirstIssues(repoName, token) {
+    const labels = [...ISSUE_LABEL_ALIASES['good-first-issue'], ...ISSUE_LABEL_ALIASES['first-timers']];
+
+    const lists = await Promise.all(labels.map(label =>
+        repoHealthRequest(`/repos/${repoName}/issues?state=open&labels=${encodeURIComponent(label)}&per_page=100`, token)
+    ));
+
+    // An issue can have two of these labels - count it once (and skip Pull Requests)
+    const numbers = new Set();
+    lists.forEach(issues => issues.forEach(issue => {
+        if (!issue.pull_request) numbers.add(issue.number);
+    }));
+
+    return { count: numbers.size, more: lists.some(issues => issues.length === 100) };
+}
+
+/*
+    The first reply to one issue from someone other than the person
+    who opened it (bots don't count). Comments come oldest first, so
+    we read page after page until we find one - but no more than
+    REPO_HEALTH_MAX_COMMENT_PAGES pages.
+    RETURNS: The reply's date, or null if no reply was found
+*/
+async function findFirstReplyDate(repoName, issue, token) {
+    if (issue.comments === 0) return null;  // Nothing to read
+
+    for (let page = 1; page <= REPO_HEALTH_MAX_COMMENT_PAGES; page++) {
+        const comments = await repoHealthRequest(
+            `/repos/${repoName}/issues/${issue.number}/comments?per_page=100&page=${page}`,
+            token
+        );
+
+        const reply = comments.find(comment => !isBotUser(comment.user) && comment.user.login !== issue.user.login);
+        if (reply) return new Date(reply.created_at);
+        if (comments.length < 100) return null;  // That was the last page
+    }
+
+    return null;
+}
+
+/*
+    How long do new issues wait for a first reply from someone other
+    than the person who opened them?
+
+    An issue nobody has answered yet has been waiting since it was
+    opened - so it counts as (now - opened). Otherwise a project that
+    never replies would look fast, because only its answered issues
+    would be measured.
+
+    RETURNS: { medianMs, answered, sampled } (or null if there were no issues)
+*/
+async function measureFirstResponse(repoName, token) {
+    const recent = await repoHealthRequest(
+        `/repos/${repoName}/issues?state=all&sort=created&direction=desc&per_page=${REPO_HEALTH_SAMPLE_ISSUES}`,
+        token
+    );
+    const issues = recent.filter(issue => !issue.pull_request);
+    if (issues.length === 0) return null;
+
+    const now = new Date();
+    const replies = await Promise.all(issues.map(issue => findFirstReplyDate(repoName, issue, token)));
+
+    const waits = issues.map((issue, index) =>
+        (replies[index] || now) - new Date(issue.created_at)
+    );
+
+    return {
+        medianMs: median(waits),
+        answered: replies.filter(Boolean).length,
+        sampled: issues.length
+    };
+}
+
+// Of the recently closed Pull Requests, how many were merged?
+// RETURNS: { rate, sampled } - rate from 0 to 1 (or null if none were closed)
+async function measureMergeRate(repoName, token) {
+    const pulls = await repoHealthRequest(
+        `/repos/${repoName}/pulls?state=closed&sort=updated&direction=desc&per_page=${REPO_HEALTH_SAMPLE_PULLS}`,
+        token
+    );
+    if (pulls.length === 0) return null;
+
+    const merged = pulls.filter(pull => pull.merged_at).length;
+    return { rate: merged / pulls.length, sampled: pulls.length };
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE SCORE
+    ═══════════════════════════════════════════════════════════════
+
+    Out of 100 (unknown measurements score 0):
+    - CONTRIBUTING guide 15, code of conduct 10, license 10
+    - Last commit: this week 15, this month 10, last 3 months 5
+    - Good first issues: 5 or more 15, at least one 10
+    - First reply: within a day 20, 3 days 15, a week 10, a month 5
+    - Merge rate: 70%+ 15, 40%+ 10, 20%+ 5
+*/
+function scoreRepoHealth(health, now) {
+    let score = 0;
+
+    if (health.files) {
+        if (health.files.contributing) score += 15;
+        if (health.files.codeOfConduct) score += 10;
+        if (health.files.license) score += 10;
+    }
+
+    if (health.lastCommit) {
+        const days = (now - health.lastCommit) / DAY_MS;
+        score += days <= 7 ? 15 : days <= 30 ? 10 : days <= 90 ? 5 : 0;
+    }
+
+    if (health.goodFirstIssues) {
+        const count = health.goodFirstIssues.count;
+        score += count >= 5 ? 15 : count >= 1 ? 10 : 0;
+    }
+
+    if (health.firstResponse && health.firstResponse.medianMs !== null) {
+        const days = health.firstResponse.medianMs / DAY_MS;
+        score += days <= 1 ? 20 : days <= 3 ? 15 : days <= 7 ? 10 : days <= 30 ? 5 : 0;
+    }
+
+    if (health.mergeRate) {
+        const rate = health.mergeRate.rate;
+        score += rate >= 0.7 ? 15 : rate >= 0.4 ? 10 : rate >= 0.2 ? 5 : 0;
+    }
+
+    return score;
+}
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    SAVED HEALTH CARDS
+    ═══════════════════════════════════════════════════════════════
+
+    Like the rest of the health check, saving is only a bonus: if
+    localStorage is full or blocked, projects are simply measured again.
+*/
+
+function loadSavedRepoHealth() {
+    try {
+        return JSON.parse(localStorage.getItem(REPO_HEALTH_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// A saved card from the last day (or null). A card measured without
+// a token has no reply time - with a token, measure it properly
+function getSavedRepoHealth(repoName, token) {
+    const saved = loadSavedRepoHealth()[repoName];
+    if (!saved || Date.now() - saved.savedAt > REPO_HEALTH_MAX_AGE_MS) return null;
+    if (token && !saved.withToken) return null;
+
+    // JSON has no dates - lastCommit comes back as text
+    const health = saved.health;
+    health.lastCommit = health.lastCommit ? new Date(health.lastCommit) : null;
+    return health;
+}
+
+// Save a card (keeping only the newest REPO_HEALTH_MAX_SAVED)
+function saveRepoHealth(repoName, health, token) {
+    const saved = loadSavedRepoHealth();
+    saved[repoName] = { savedAt: Date.now(), withToken: Boolean(token), health: health };
+
+    const newest = Object.keys(saved)
+        .sort((a, b) => saved[b].savedAt - saved[a].savedAt)
+        .slice(0, REPO_HEALTH_MAX_SAVED);
+
+    try {
+        localStorage.setItem(REPO_HEALTH_STORAGE_KEY, JSON.stringify(
+            Object.fromEntries(newest.map(name => [name, saved[name]]))
+        ));
+    } catch (error) {
+        console.warn('⚠️ Could not save the health card:', error.name);
+    }
+}
+
+/*
+    Measure a project (once a day - later calls get the same answer).
+
+    RETURNS: { files, lastCommit, goodFirstIssues, firstResponse,
+               mergeRate, score } - any measurement may be null
+*/
+function getRepoHealth(repoName, token) {
+    if (!repoHealthCache.has(repoName)) {
+        repoHealthCache.set(repoName, (async () => {
+            const savedHealth = getSavedRepoHealth(repoName, token);
+            if (savedHealth) return savedHealth;
+
+            const failures = [];
+            const [files, lastCommit, goodFirstIssues, firstResponse, mergeRate] = await Promise.all([
+                measureOrNull(() => fetchCommunityFiles(repoName, token), repoName, failures),
+                measureOrNull(() => fetchLastCommitDate(repoName, token), repoName, failures),
+                measureOrNull(() => countGoodFirstIssues(repoName, token), repoName, failures),
+                token ? measureOrNull(() => measureFirstResponse(repoName, token), repoName, failures) : null,
+                measureOrNull(() => measureMergeRate(repoName, token), repoName, failures)
+            ]);
+
+            const health = { files, lastCommit, goodFirstIssues, firstResponse, mergeRate };
+            health.score = scoreRepoHealth(health, new Date());
+
+            // A card with gaps (rate limit, offline...) is measured again next visit
+            if (failures.length === 0) saveRepoHealth(repoName, health, token);
+            return health;
+        })());
+    }
+
+    return repoHealthCache.get(repoName);
+}
+
+// Add .health to each repository from searchGitHubRepos() (in place)
+async function attachRepoHealth(repos, token) {
+    await Promise.all(repos.map(async repo => {
+        repo.health = await getRepoHealth(repo.fullName, token);
+    }));
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE HEALTH CARD (part of each project in displayRepos)
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// 5400000 → '2 hours', 259200000 → '3 days'
+function formatDuration(ms) {
+    const hours = Math.round(ms / (60 * 60 * 1000));
+    if (hours < 1) return 'under an hour';
+    if (hours < 48) return hours === 1 ? '1 hour' : `${hours} hours`;
+    return formatDays(Math.round(ms / DAY_MS));
+}
+
+function renderRepoHealthCard(health) {
+    if (!health) return '';
+
+    const unknown = 'unknown';
+    const check = (present, label) => `<li>${present ? '✅' : '❌'} ${label}</li>`;
+    const items = [];
+
+    if (health.files) {
+        items.push(check(health.files.contributing, 'CONTRIBUTING guide'));
+        items.push(check(health.files.codeOfConduct, 'Code of conduct'));
+        items.push(check(health.files.license, health.files.license ? `License (${escapeHTML(health.files.license)})` : 'License'));
+    } else {
+        items.push(`<li>📄 Contributing guide, code of conduct, license: ${unknown}</li>`);
+    }
+
+    items.push(`<li>🕒 Last commit: ${health.lastCommit ? escapeHTML(health.lastCommit.toLocaleDateString()) : unknown}</li>`);
+
+    const issues = health.goodFirstIssues;
+    items.push(`<li>🏷️ Open good first issues: ${issues ? `${issues.count}${issues.more ? '+' : ''}` : unknown}</li>`);
+
+    const response = health.firstResponse;
+    items.push(`<li>💬 Typical wait for a first reply: ${response && response.medianMs !== null
+        ? `${formatDuration(response.medianMs)} (${response.answered} of the last ${response.sampled} issues got one)`
+        : unknown}</li>`);
+
+    const merges = health.mergeRate;
+    items.push(`<li>🔀 Pull Requests merged: ${merges
+        ? `${Math.round(merges.rate * 100)}% of the last ${merges.sampled} closed`
+        : unknown}</li>`);
+
+    return `
+        <div class="repo-health">
+            <p class="repo-health-score"><strong>💚 Beginner-friendliness: ${health.score}/100</strong></p>
+            <ul>${items.join('')}</ul>
+        </div>
+    `;
+}
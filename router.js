@@ -0,0 +1,129 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    ROUTER - A Web Address for Every Module
+    ═══════════════════════════════════════════════════════════════
+
+    Every page of the course has its own address:
+
+        index.html#/home         → the Home / setup page
+        index.html#/module/3     → Module 3
+        index.html#/watchlist    → Your saved issues (watchlist.js)
+
+    So:
+    - Refreshing the page stays on the module you're looking at
+    - The browser's ← Back and → Forward buttons move between modules
+    - Instructors can link straight to a module ("start at #/module/3")
+
+    Locked modules stay locked: a link to a module you haven't
+    reached yet shows the same "Complete the previous module first!"
+    message as clicking it in the sidebar (see isModuleUnlocked()
+    in script.js).
+
+    KEY CONCEPTS:
+
+    1. THE HASH (#...):
+       - The part of the address after # never goes to the server,
+         so it works on any static host (like GitHub Pages)
+       - Changing it doesn't reload the page
+
+    2. HISTORY:
+       - history.pushState() adds an entry (so Back can return to it)
+       - history.replaceState() changes the current entry (no extra
+         Back step - used for fixing up the address)
+       - The "hashchange" event fires when the hash changes by itself:
+         Back/Forward, a clicked link or an address typed by hand
+*/
+
+// '#/module/3' → 3 (the module number is captured)
+const MODULE_ROUTE_PATTERN = /^#\/module\/(\d+)$/;
+const HOME_ROUTE = '#/home';
+const WATCHLIST_ROUTE = '#/watchlist';
+
+
+// Module number → its address (0 = Home)
+function getModuleRoute(moduleNumber) {
+    return moduleNumber === 0 ? HOME_ROUTE : `#/module/${moduleNumber}`;
+}
+
+/*
+    Address → module number.
+    RETURNS: The module number, or null if the hash isn't a module
+    address (an empty hash, or an anchor like #quiz-1)
+*/
+function getModuleFromRoute(hash) {
+    if (hash === HOME_ROUTE || hash === '#/') return 0;
+
+    const match = hash.match(MODULE_ROUTE_PATTERN);
+    if (!match) return null;
+
+    const moduleNumber = Number(match[1]);
+    return moduleNumber >= 1 && moduleNumber <= getModuleCount() ? moduleNumber : null;
+}
+
+// Put the module's address in the address bar (called by goToModule)
+function updateRoute(moduleNumber, replace) {
+    const route = getModuleRoute(moduleNumber);
+    if (window.location.hash === route) return;
+
+    // Only the hash changes - the page and ?link parameters stay
+    if (replace) {
+        history.replaceState(null, '', route);
+    } else {
+        history.pushState(null, '', route);
+    }
+}
+
+/*
+    The address changed (Back/Forward, a link, or typed by hand):
+    show that module - if it's unlocked.
+*/
+function handleRouteChange() {
+    if (window.location.hash === WATCHLIST_ROUTE) {
+        showWatchlist();
+        return;
+    }
+
+    const moduleNumber = getModuleFromRoute(window.location.hash);
+
+    // Not a module address - nothing to do
+    if (moduleNumber === null) return;
+
+    // Already there (unless we're coming back to it from the watchlist)
+    if (moduleNumber === currentModule && !isWatchlistShown()) return;
+
+    if (!isModuleUnlocked(moduleNumber)) {
+        // Same rule (and message) as the sidebar - and back to where we were
+        updateRoute(currentModule, true);
+        alert('Complete the previous module first!');
+        return;
+    }
+
+    goToModule(moduleNumber);
+}
+
+/*
+    Called once when the page loads (after the progress is loaded).
+    RETURNS: The module to show first - the one in the address if
+    it's unlocked, otherwise the one saved in the progress
+*/
+function startRouter() {
+    const linked = getModuleFromRoute(window.location.hash);
+    let moduleNumber = currentModule;
+
+    if (linked !== null) {
+        if (isModuleUnlocked(linked)) {
+            moduleNumber = linked;
+        } else {
+            alert(`Module ${linked} is still locked - complete the previous module first!`);
+        }
+    }
+
+    // Make the address match what's shown (without adding a Back step)
+    // The watchlist keeps its address - setupWatchlist() shows it
+    if (window.location.hash !== WATCHLIST_ROUTE) {
+        updateRoute(moduleNumber, true);
+    }
+    window.addEventListener('hashchange', handleRouteChange);
+
+    return moduleNumber;
+}
@@ -9,8 +9,8 @@
     1. Saves/loads user progress to localStorage
     2. Shows/hides modules based on progress
     3. Handles all button clicks and form submissions
-    4. Calls Gemini AI API for personalized content
-    5. Validates quiz answers
+    4. Calls an AI API (Gemini by default) for personalized content
+    5. Checks quiz answers and records attempts
     6. Submits Pull Requests via GitHub API
 
     KEY CONCEPTS YOU'LL LEARN:
@@ -47,30 +47,12 @@
     Think of them as the app's "memory"
 */
 
-// User's progress through modules (1-4)
+// User's progress through modules (1 to the number of modules in curriculum.js)
 let currentModule = 0;  // 0 = home/setup, 1 = module 1, etc.
 
-// User's answers and preferences
-let userProgress = {
-    // API Keys
-    geminiApiKey: '',
-    githubToken: '',
-
-    // Module 1 personalization
-    interest: '',           // e.g., "game-development"
-
-    // Module 2 personalization
-    skillLevel: '',         // e.g., "some-experience"
-
-    // Module 3 personalization
-    gitExperience: '',      // e.g., "used-a-little"
-
-    // Which modules are completed
-    completedModules: [],   // Array like [1, 2] means modules 1 and 2 are done
-
-    // Current module number
-    currentModule: 0
-};
+// User's answers and preferences - a new student starts with the
+// defaults from progress-schema.js (which also upgrades older saves)
+let userProgress = createDefaultProgress();
 
 
 /*
@@ -98,9 +80,12 @@ function saveProgress() {
         const progressString = JSON.stringify(userProgress);
 
         // Save to localStorage under the key "osLearningProgress"
-        localStorage.setItem('osLearningProgress', progressString);
+        // (other learner profiles get their own key - see profiles.js)
+        localStorage.setItem(getProfileStorageKey('osLearningProgress'), progressString);
 
-        console.log('✅ Progress saved!', userProgress);
+        // Just a status line - the progress itself stays out of the console
+        // (a shared computer's console shows it to the next person)
+        console.log(`✅ Progress saved (module ${userProgress.currentModule}, ${userProgress.completedModules.length} completed)`);
     } catch (error) {
         console.error('❌ Error saving progress:', error);
     }
@@ -109,8 +94,8 @@ function saveProgress() {
 // Load saved progress from localStorage
 function loadProgress() {
     try {
-        // Get the saved string from localStorage
-        const saved = localStorage.getItem('osLearningProgress');
+        // Get the saved string from localStorage (for the active learner profile)
+        const saved = localStorage.getItem(getProfileStorageKey('osLearningProgress'));
 
         // If nothing saved yet, return (use default userProgress object)
         if (!saved) {
@@ -120,23 +105,36 @@ function loadProgress() {
 
         // Convert JSON string back to JavaScript object
         // JSON.parse turns '{"name":"Jane"}' into {name: "Jane"}
-        const loaded = JSON.parse(saved);
-
-        // Update our global userProgress object
-        userProgress = loaded;
+        // Then bring it up to date: saved by an older version, or with
+        // missing/broken fields? upgradeProgress() fixes it (progress-schema.js)
+        try {
+            const upgraded = upgradeProgress(JSON.parse(saved));
+            userProgress = upgraded.progress;
+            if (upgraded.changed) {
+                saveProgress();
+            }
+        } catch (error) {
+            // Can't be read at all: start fresh (and say so)
+            userProgress = recoverFromUnreadableProgress(saved, error);
+            saveProgress();
+        }
 
         // Update the current module number
         currentModule = userProgress.currentModule || 0;
 
-        console.log('✅ Progress loaded!', userProgress);
+        console.log(`✅ Progress loaded (module ${currentModule}, ${userProgress.completedModules.length} completed)`);
 
-        // If they had API keys saved, fill them in
-        if (userProgress.geminiApiKey) {
-            document.getElementById('gemini-api-key').value = userProgress.geminiApiKey;
-        }
-        if (userProgress.githubToken) {
-            document.getElementById('github-token').value = userProgress.githubToken;
+        // If they have keys saved, fill them in (encrypted ones wait for the passphrase)
+        if (getKeyStorageMode() === 'session') {
+            loadSessionCredentials();
         }
+        fillCredentialInputs();
+        showUnlockBanner();
+
+        // Restore their AI provider choice
+        document.getElementById('llm-provider').value = userProgress.llmProvider || 'gemini';
+        document.getElementById('llm-model').value = userProgress.llmModel || '';
+        document.getElementById('llm-base-url').value = userProgress.llmBaseUrl || '';
 
     } catch (error) {
         console.error('❌ Error loading progress:', error);
@@ -173,6 +171,18 @@ function showSection(sectionId) {
     updateSidebar();
 }
 
+/*
+    Can this module be opened (from the sidebar, or its address - see router.js)?
+    Home always can; a module can once you're on it, have completed it,
+    or have completed the one before it.
+*/
+function isModuleUnlocked(moduleNumber) {
+    return moduleNumber === 0 ||
+        moduleNumber === currentModule ||
+        userProgress.completedModules.includes(moduleNumber) ||
+        userProgress.completedModules.includes(moduleNumber - 1);
+}
+
 // Update the sidebar progress tracker
 function updateSidebar() {
     // Get all sidebar items
@@ -195,7 +205,7 @@ function updateSidebar() {
                 icon.textContent = '✅';
             }
         } else {
-            // Module sections (index 1-4 = modules 1-4)
+            // Module sections (index 1, 2, 3... = modules 1, 2, 3...)
             const moduleNumber = index;
 
             if (currentModule === moduleNumber) {
@@ -206,9 +216,8 @@ function updateSidebar() {
                 // Completed module
                 item.classList.add('completed');
                 icon.textContent = '✅';
-            } else if (currentModule >= moduleNumber - 1) {
+            } else if (isModuleUnlocked(moduleNumber)) {
                 // Next available module (unlocked but not started)
-                item.classList.add('locked');
                 icon.textContent = '🔓';
             } else {
                 // Still locked
@@ -218,6 +227,9 @@ function updateSidebar() {
         }
     });
 
+    // The watchlist isn't a module - it has its own button (watchlist.js)
+    document.getElementById('sidebar-watchlist').classList.toggle('active', isWatchlistShown());
+
     // Update progress indicator in header
     document.getElementById('current-module-number').textContent = currentModule;
 }
@@ -227,10 +239,14 @@ function goToModule(moduleNumber) {
     currentModule = moduleNumber;
     userProgress.currentModule = moduleNumber;
 
+    // Give it its own address, so Back/Forward work (router.js)
+    updateRoute(moduleNumber);
+
     if (moduleNumber === 0) {
         showSection('home-setup');
     } else {
         showSection(`module-${moduleNumber}`);
+        restoreModuleContent(moduleNumber);
     }
 
     saveProgress();
@@ -243,6 +259,15 @@ function completeModule(moduleNumber) {
         userProgress.completedModules.push(moduleNumber);
     }
 
+    // Last module: the course is done - stay here and celebrate
+    if (moduleNumber === getModuleCount()) {
+        saveProgress();
+        updateSidebar();
+
+        alert(`🎉 Congratulations! You have completed the ${COURSE.title} course! Welcome to the open source community!`);
+        return;
+    }
+
     // Move to next module
     goToModule(moduleNumber + 1);
 }
@@ -256,46 +281,123 @@ function completeModule(moduleNumber) {
     This handles the initial setup where users enter their API keys.
 */
 
+// Update the AI key/model/server inputs to match the selected provider
+function updateProviderFields() {
+    const provider = getLLMProvider(document.getElementById('llm-provider').value);
+
+    document.getElementById('llm-model').placeholder = provider.defaultModel;
+    document.getElementById('llm-base-url').placeholder = provider.defaultBaseUrl;
+    document.getElementById('gemini-api-key').placeholder = provider.keyPlaceholder;
+    document.getElementById('ai-key-label').textContent = provider.requiresApiKey
+        ? `Your ${provider.label} API Key:`
+        : `Your ${provider.label} API Key (optional):`;
+
+    checkSetupComplete();
+}
+
 // Check if both API keys are entered
 function checkSetupComplete() {
+    const provider = getLLMProvider(document.getElementById('llm-provider').value);
     const geminiKey = document.getElementById('gemini-api-key').value.trim();
     const githubToken = document.getElementById('github-token').value.trim();
     const startButton = document.getElementById('start-learning-btn');
     const statusText = document.getElementById('setup-status');
 
+    // Local providers (like Ollama) don't need an AI key
+    const hasAIKey = geminiKey || !provider.requiresApiKey;
+
+    // A token GitHub said no to (see github-auth.js) can't be used
+    const tokenProblem = githubToken && getGitHubTokenProblem(githubToken);
+
+    // Remembering the keys with a passphrase? Then we need one (unless already unlocked)
+    const passphraseProblem = getSetupPassphraseProblem();
+
     // Both keys must be filled in
-    if (geminiKey && githubToken) {
+    if (hasAIKey && githubToken && !tokenProblem && !passphraseProblem) {
         startButton.disabled = false;
         statusText.textContent = '✅ Ready to start!';
         statusText.style.color = '#059669';  // Green
     } else {
         startButton.disabled = true;
 
-        if (!geminiKey && !githubToken) {
+        if (!hasAIKey && !githubToken) {
             statusText.textContent = 'Please enter both API keys above';
-        } else if (!geminiKey) {
-            statusText.textContent = 'Please enter your Gemini API key';
+        } else if (tokenProblem) {
+            statusText.textContent = tokenProblem;
+        } else if (passphraseProblem && hasAIKey && githubToken) {
+            statusText.textContent = passphraseProblem;
+        } else if (!hasAIKey) {
+            statusText.textContent = `Please enter your ${provider.label} API key`;
         } else {
-            statusText.textContent = 'Please enter your GitHub token';
+            statusText.textContent = 'Please sign in with GitHub (or paste a GitHub token)';
         }
 
         statusText.style.color = '#6B7280';  // Gray
     }
 }
 
+// The "where should we keep your keys?" choice on the Home page
+function getSelectedKeyStorage() {
+    const selected = document.querySelector('input[name="key-storage"]:checked');
+    return selected ? selected.value : 'session';
+}
+
+// Show the passphrase box only when "encrypted" is picked
+function updateKeyStorageFields() {
+    const encrypted = getSelectedKeyStorage() === 'encrypted';
+    document.getElementById('key-passphrase-group').style.display = encrypted ? 'block' : 'none';
+    checkSetupComplete();
+}
+
+// What's wrong with the passphrase (null = nothing, or not needed)
+function getSetupPassphraseProblem() {
+    if (getSelectedKeyStorage() !== 'encrypted') return null;
+
+    const passphrase = document.getElementById('key-passphrase').value;
+
+    // Already unlocked with a passphrase? Leaving the box empty keeps it
+    if (!passphrase && credentialCryptoKey && getKeyStorageMode() === 'encrypted') return null;
+
+    if (passphrase.length < KEY_PASSPHRASE_MIN_LENGTH) {
+        return `Please choose a passphrase of at least ${KEY_PASSPHRASE_MIN_LENGTH} characters to lock your keys`;
+    }
+    return null;
+}
+
 // Save API keys and start learning
-function startLearning() {
+async function startLearning() {
+    const providerId = document.getElementById('llm-provider').value;
+    const provider = getLLMProvider(providerId);
     const geminiKey = document.getElementById('gemini-api-key').value.trim();
     const githubToken = document.getElementById('github-token').value.trim();
 
-    if (!geminiKey || !githubToken) {
+    if ((provider.requiresApiKey && !geminiKey) || !githubToken) {
         alert('Please enter both API keys!');
         return;
     }
 
-    // Save to userProgress
-    userProgress.geminiApiKey = geminiKey;
-    userProgress.githubToken = githubToken;
+    const passphraseProblem = getSetupPassphraseProblem();
+    if (passphraseProblem) {
+        alert(passphraseProblem);
+        return;
+    }
+
+    // Keys go to the credential store, the way the student chose (credential-store.js)
+    credentials.geminiApiKey = geminiKey;
+    credentials.githubToken = githubToken;
+    userProgress.keyStorage = getSelectedKeyStorage();
+
+    const passphraseInput = document.getElementById('key-passphrase');
+    if (userProgress.keyStorage === 'encrypted' && passphraseInput.value) {
+        await setCredentialPassphrase(passphraseInput.value);
+        passphraseInput.value = '';
+    }
+    await saveCredentials();
+
+    // Save the rest to userProgress
+    userProgress.llmProvider = providerId;
+    userProgress.llmModel = document.getElementById('llm-model').value.trim();
+    userProgress.llmBaseUrl = document.getElementById('llm-base-url').value.trim();
 
     // Move to Module 1
     completeModule(0);  // Complete setup, go to module 1
@@ -306,315 +408,302 @@ function startLearning() {
 
 /*
     ═══════════════════════════════════════════════════════════════
-    SECTION 5: GEMINI API INTEGRATION
+    SECTION 5: AI API INTEGRATION
     ═══════════════════════════════════════════════════════════════
 
-    This calls Google's Gemini AI to generate personalized content.
+    This calls an AI model to generate personalized content.
+    By default that's Google's Gemini, but the user can pick another
+    provider (or a local model) on the home page - see llm-providers.js.
 
     HOW IT WORKS:
     1. We create a text prompt based on user's selection
-    2. Send it to Gemini API
-    3. Gemini sends back AI-generated text
+    2. Send it to the selected AI provider
+    3. The AI sends back generated text
     4. We display it on the page
 */
 
-// Call Gemini API with a prompt
-async function callGeminiAPI(prompt) {
-    const apiKey = userProgress.geminiApiKey;
-
-    if (!apiKey) {
-        throw new Error('No Gemini API key found');
-    }
+// Build the AI settings object from the user's saved choices
+function getLLMSettings() {
+    return {
+        provider: userProgress.llmProvider,
+        model: userProgress.llmModel,
+        baseUrl: userProgress.llmBaseUrl,
+        apiKey: credentials.geminiApiKey
+    };
+}
 
+// Call the selected AI provider with a prompt
+// (Still named callGeminiAPI because every module already uses it)
+// options: { json: true } asks for a JSON-only answer (see llm-providers.js)
+async function callGeminiAPI(prompt, options) {
     try {
-        // Gemini API endpoint (using gemini-2.5-flash - latest stable model, fast and free!)
-        const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${apiKey}`;
-
-        // Make the API request
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                contents: [{
-                    parts: [{ text: prompt }]
-                }]
-            })
-        });
-
-        if (!response.ok) {
-            throw new Error(`Gemini API error: ${response.status}`);
-        }
-
-        const data = await response.json();
-
-        // Extract the text from Gemini's response
-        return data.candidates[0].content.parts[0].text;
-
+        return await callLLM(prompt, getLLMSettings(), options);
     } catch (error) {
-        console.error('Error calling Gemini API:', error);
+        console.error('Error calling AI API:', error);
         throw error;
     }
 }
 
-
 /*
-    ═══════════════════════════════════════════════════════════════
-    SECTION 6: MODULE-SPECIFIC FUNCTIONS
-    ═══════════════════════════════════════════════════════════════
+    STREAMING INTO A PANEL:
+    Shows the AI's answer in an ai-response panel WHILE it's being written.
+
+    - Text is rendered as sanitized Markdown (see markdown.js)
+    - The loading message stays until the first words arrive
+    - A "Stop" button aborts the request (AbortController)
+    - If the stream stops or fails halfway, we KEEP what already arrived
+
+    RETURNS: { text, complete }
+    - complete = false if the user stopped it or the connection dropped
+    - Throws only if it failed before ANY text arrived (so the module
+      can show its usual error message)
 */
-
-// ─────────────────────────────────────────────────────────────────
-// MODULE 1: Understanding Open Source
-// ─────────────────────────────────────────────────────────────────
-
-async function generateModule1Content() {
-    const select = document.getElementById('interest-select');
-    const interest = select.value;
-
-    if (!interest) {
-        alert('Please select an interest area first!');
-        return;
+async function streamAIContent(prompt, aiResponse) {
+    const controller = new AbortController();
+    let text = '';
+
+    // Where the text will appear
+    const output = document.createElement('div');
+    output.className = 'markdown-body';
+
+    // Stop button (removed once the stream is over)
+    const stopButton = document.createElement('button');
+    stopButton.className = 'secondary-btn stop-stream-btn';
+    stopButton.textContent = '⏹ Stop generating';
+    stopButton.addEventListener('click', () => controller.abort());
+
+    aiResponse.appendChild(output);
+    aiResponse.appendChild(stopButton);
+
+    // Small note under partial output explaining what happened
+    function addNote(message) {
+        const note = document.createElement('p');
+        note.className = 'stream-note';
+        note.textContent = message;
+        aiResponse.appendChild(note);
     }
 
-    // Save their choice
-    userProgress.interest = interest;
-    saveProgress();
+    try {
+        await streamLLM(prompt, getLLMSettings(), piece => {
+            // First piece: swap the loading message for real content
+            const loading = aiResponse.querySelector('.loading');
+            if (loading) loading.remove();
 
-    // Show AI content section and display loading message
-    const aiSection = document.getElementById('ai-content-1');
-    const aiResponse = document.getElementById('ai-response-1');
-    aiSection.style.display = 'block';
-    aiResponse.innerHTML = '<p class="loading">✨ Generating your personalized content...</p>';
+            // Re-render the whole answer so far (a **bold** may span two pieces)
+            text += piece;
+            output.innerHTML = renderMarkdown(text);
+        }, controller.signal);
 
-    // Create personalized prompt for Gemini
-    const prompt = `You're teaching open source to someone interested in ${interest}.
+        stopButton.remove();
+        return { text: text, complete: true };
 
-Explain what open source is in an engaging way. Include:
-1. A clear definition
-2. Why it matters in the ${interest} field
-3. 2-3 specific examples of popular open source projects in ${interest}
-4. Career benefits for someone in ${interest}
+    } catch (error) {
+        stopButton.remove();
 
-Keep it conversational and encouraging, 300-400 words. Use paragraphs, not bullet points.`;
+        // User pressed Stop
+        if (controller.signal.aborted) {
+            const loading = aiResponse.querySelector('.loading');
+            if (loading) loading.remove();
 
-    try {
-        // Call Gemini API
-        const content = await callGeminiAPI(prompt);
+            addNote(text
+                ? '⏹ Stopped. Showing what was generated so far.'
+                : '⏹ Stopped before any content arrived.');
+            return { text: text, complete: false };
+        }
 
-        // Display the AI response
-        aiResponse.innerHTML = `<div style="white-space: pre-wrap;">${content}</div>`;
+        console.error('Error streaming AI response:', error);
 
-        // Also show GitHub projects
-        showGitHubProjects();
+        // Connection dropped halfway - keep the partial answer
+        if (text) {
+            addNote(`⚠️ The response was cut off (${error.message}). Showing the partial answer.`);
+            return { text: text, complete: false };
+        }
 
-    } catch (error) {
-        aiResponse.innerHTML = `
-            <p style="color: #DC2626;">❌ Error generating content. Please check your API key and try again.</p>
-            <p style="font-size: 14px; color: #6B7280;">Error: ${error.message}</p>
-        `;
+        output.remove();
+        throw error;
     }
 }
 
-// Show GitHub projects for user's interest
-async function showGitHubProjects() {
-    const githubSection = document.getElementById('github-data-1');
-    const projectsList = document.getElementById('projects-list-1');
-
-    githubSection.style.display = 'block';
-    projectsList.innerHTML = '<p class="loading">Loading projects...</p>';
 
-    try {
-        // Call function from github-api.js
-        const repos = await searchGitHubRepos(userProgress.interest, userProgress.githubToken);
+/*
+    ═══════════════════════════════════════════════════════════════
+    SECTION 6: MODULE CONTENT
+    ═══════════════════════════════════════════════════════════════
 
-        // Display the repositories
-        displayRepos(repos, 'projects-list-1');
+    Every module works the same way, so ONE function handles them all.
+    What's different (the question, the prompt, which GitHub data to
+    show) comes from that module's entry in curriculum.js.
 
-    } catch (error) {
-        projectsList.innerHTML = '<p style="color: #DC2626;">Error loading projects. Using fallback data.</p>';
-        // Fallback data will be used automatically by searchGitHubRepos
-    }
-}
+    Generated lessons are saved by content-cache.js. Asking for the same
+    lesson again (or coming back to the module later) shows the saved
+    copy - the "Regenerate" button asks the AI for a new one.
+*/
 
+// Generate the personalized AI content for a module
+// options.regenerate = true skips the saved copy and asks the AI again
+async function generateModuleContent(moduleNumber, options) {
+    const moduleDef = getCourseModule(moduleNumber);
+    const ids = getModuleElementIds(moduleNumber);
+    const personalization = moduleDef.personalization;
+    const ai = moduleDef.ai;
+    const regenerate = Boolean(options && options.regenerate);
+
+    // If the module asks a question, save the answer first
+    if (personalization) {
+        const answer = document.getElementById(ids.select).value;
+
+        if (!answer) {
+            alert(personalization.missingMessage || 'Please select an option first!');
+            return;
+        }
 
-// ─────────────────────────────────────────────────────────────────
-// MODULE 2: Finding Your First Issue
-// ─────────────────────────────────────────────────────────────────
+        userProgress[personalization.progressKey] = answer;
+        saveProgress();
+    }
 
-async function generateModule2Content() {
-    const select = document.getElementById('skill-select');
-    const skillLevel = select.value;
+    // Create personalized prompt from everything they've told us so far
+    const prompt = ai.prompt(userProgress);
+    const cacheKey = buildContentCacheKey(moduleNumber, prompt, getLLMSettings());
 
-    if (!skillLevel) {
-        alert('Please select your skill level first!');
-        return;
+    // Already generated this exact lesson? Show the saved copy (no AI request!)
+    if (!regenerate) {
+        const cached = await getCachedContent(cacheKey, prompt);
+        if (cached) {
+            showCachedModuleContent(moduleNumber, cached);
+            return;
+        }
     }
 
-    // Save their choice
-    userProgress.skillLevel = skillLevel;
-    saveProgress();
+    const button = document.getElementById(ids.generateButton);
+    const regenerateButton = document.getElementById(ids.regenerateButton);
+    const buttonLabel = personalization ? personalization.buttonLabel : ai.buttonLabel;
+    button.disabled = true;
+    button.textContent = 'Generating...';
+    regenerateButton.style.display = 'none';
 
-    // Show AI content section
-    const aiSection = document.getElementById('ai-content-2');
-    const aiResponse = document.getElementById('ai-response-2');
+    // Show AI content section and display loading message
+    const aiSection = document.getElementById(ids.aiContent);
+    const aiResponse = document.getElementById(ids.aiResponse);
     aiSection.style.display = 'block';
-    aiResponse.innerHTML = '<p class="loading">✨ Generating advice for your skill level...</p>';
+    aiResponse.style.display = 'block';
+    aiResponse.innerHTML = `<p class="loading">${escapeHTML(ai.loadingMessage || '✨ Generating your personalized content...')}</p>`;
 
-    // Create personalized prompt
-    const prompt = `A ${skillLevel} developer interested in ${userProgress.interest} is looking for their first open source issue.
+    try {
+        // Stream the AI response into the panel as it's written
+        const result = await streamAIContent(prompt, aiResponse);
+
+        if (result.complete && ai.doneLabel) {
+            // One-time buttons (like the roadmap) stay disabled once done
+            button.textContent = ai.doneLabel;
+        } else {
+            button.disabled = false;
+            button.textContent = result.complete || personalization ? buttonLabel : 'Try Again';
+        }
 
-Explain what makes a good first issue for someone at their level. Include:
-- What to look for in an issue description
-- Red flags to avoid
-- 3-4 example issue types that would be appropriate for their skill level
-- How to evaluate if an issue is too difficult
+        // Only save COMPLETE lessons (not ones that were stopped halfway)
+        if (result.complete) {
+            const settings = resolveLLMSettings(getLLMSettings());
+            saveCachedContent({
+                key: cacheKey,
+                moduleNumber: moduleNumber,
+                prompt: prompt,
+                text: result.text,
+                provider: settings.provider,
+                model: settings.model
+            });
+        }
 
-Keep it practical and encouraging. 250-300 words.`;
+        if (result.text) {
+            regenerateButton.style.display = 'inline-block';
+        }
 
-    try {
-        const content = await callGeminiAPI(prompt);
-        aiResponse.innerHTML = `<div style="white-space: pre-wrap;">${content}</div>`;
+        // Also show live GitHub data for this module
+        if (result.text && moduleDef.github) {
+            showGitHubData(moduleNumber);
+        }
 
-        // Show actual good first issues
-        showGoodFirstIssues();
+        // New lesson = the student can ask for quiz questions about it
+        if (result.text) {
+            offerLessonQuizQuestions(moduleNumber);
+        }
 
     } catch (error) {
         aiResponse.innerHTML = `
-            <p style="color: #DC2626;">❌ Error generating content. Please check your API key and try again.</p>
-            <p style="font-size: 14px; color: #6B7280;">Error: ${error.message}</p>
+            <p style="color: #DC2626;">${escapeHTML(ai.errorMessage || '❌ Error generating content. Please check your API key and try again.')}</p>
+            <p style="font-size: 14px; color: #6B7280;">Error: ${escapeHTML(error.message)}</p>
         `;
+        button.disabled = false;
+        button.textContent = personalization ? buttonLabel : 'Try Again';
     }
 }
 
-// Show actual "good first issues" from GitHub
-async function showGoodFirstIssues() {
-    const githubSection = document.getElementById('github-data-2');
-    const issuesList = document.getElementById('issues-list-2');
-
-    githubSection.style.display = 'block';
-    issuesList.innerHTML = '<p class="loading">Searching for good first issues...</p>';
+// Show a lesson saved by content-cache.js, exactly like a freshly generated one
+function showCachedModuleContent(moduleNumber, cached) {
+    const moduleDef = getCourseModule(moduleNumber);
+    const ids = getModuleElementIds(moduleNumber);
+    const ai = moduleDef.ai;
 
-    try {
-        // Call function from github-api.js
-        const issues = await searchGoodFirstIssues(
-            userProgress.interest,
-            userProgress.skillLevel,
-            userProgress.githubToken
-        );
+    const savedOn = new Date(cached.createdAt).toLocaleDateString();
+    const aiResponse = document.getElementById(ids.aiResponse);
+    document.getElementById(ids.aiContent).style.display = 'block';
+    aiResponse.style.display = 'block';
+    aiResponse.innerHTML = `
+        <div class="markdown-body">${renderMarkdown(cached.text)}</div>
+        <p class="cache-note">📦 Your saved lesson from ${escapeHTML(savedOn)} - click "Regenerate" for a fresh one.</p>
+    `;
 
-        // Display the issues
-        displayIssues(issues, 'issues-list-2');
+    // Same button states as after generating
+    const button = document.getElementById(ids.generateButton);
+    if (ai.doneLabel) {
+        button.disabled = true;
+        button.textContent = ai.doneLabel;
+    } else {
+        button.disabled = false;
+    }
+    document.getElementById(ids.regenerateButton).style.display = 'inline-block';
 
-    } catch (error) {
-        issuesList.innerHTML = '<p style="color: #DC2626;">Error loading issues. Using fallback examples.</p>';
+    if (moduleDef.github) {
+        showGitHubData(moduleNumber);
     }
+    offerLessonQuizQuestions(moduleNumber);
 }
 
+// Coming back to a module? Show its saved lesson instead of an empty panel
+async function restoreModuleContent(moduleNumber) {
+    const moduleDef = getCourseModule(moduleNumber);
+    if (!moduleDef || !moduleDef.ai) return;
 
-// ─────────────────────────────────────────────────────────────────
-// MODULE 3: Making Your Contribution
-// ─────────────────────────────────────────────────────────────────
+    const ids = getModuleElementIds(moduleNumber);
+    const personalization = moduleDef.personalization;
 
-async function generateModule3Content() {
-    const select = document.getElementById('git-select');
-    const gitExperience = select.value;
+    // Something is already on screen (or being generated) - leave it alone
+    if (document.getElementById(ids.aiResponse).innerHTML.trim()) return;
 
-    if (!gitExperience) {
-        alert('Please select your Git experience level!');
-        return;
-    }
+    // Put their earlier answer back in the dropdown
+    if (personalization) {
+        const answer = userProgress[personalization.progressKey];
+        if (!answer) return;  // Never answered = never generated
 
-    // Save their choice
-    userProgress.gitExperience = gitExperience;
-    saveProgress();
-
-    // Show AI content section
-    const aiSection = document.getElementById('ai-content-3');
-    const aiResponse = document.getElementById('ai-response-3');
-    aiSection.style.display = 'block';
-    aiResponse.innerHTML = '<p class="loading">✨ Creating your Git workflow guide...</p>';
-
-    // Create personalized prompt
-    let detailLevel = '';
-    if (gitExperience === 'never-used') {
-        detailLevel = 'Use very simple language and explain each term (fork, clone, commit, etc.)';
-    } else if (gitExperience === 'used-a-little') {
-        detailLevel = 'Provide clear commands with brief explanations';
-    } else {
-        detailLevel = 'Keep it concise with key commands and best practices';
+        document.getElementById(ids.select).value = answer;
+        document.getElementById(ids.generateButton).disabled = false;
     }
 
-    const prompt = `Teach a ${gitExperience} student the Git workflow for contributing to open source.
-
-Cover these steps:
-1. Fork and clone a repository
-2. Create a new branch
-3. Make changes
-4. Commit with a good message
-5. Push and create a Pull Request
-
-${detailLevel}
-
-Include actual command examples. 300-350 words.`;
-
-    try {
-        const content = await callGeminiAPI(prompt);
-        aiResponse.innerHTML = `<div style="white-space: pre-wrap;">${content}</div>`;
+    const prompt = moduleDef.ai.prompt(userProgress);
+    const cached = await getCachedContent(buildContentCacheKey(moduleNumber, prompt, getLLMSettings()), prompt);
 
-    } catch (error) {
-        aiResponse.innerHTML = `
-            <p style="color: #DC2626;">❌ Error generating content. Please check your API key and try again.</p>
-            <p style="font-size: 14px; color: #6B7280;">Error: ${error.message}</p>
-        `;
+    // Check again - the student may have clicked "Generate" while we were looking
+    if (cached && !document.getElementById(ids.aiResponse).innerHTML.trim()) {
+        showCachedModuleContent(moduleNumber, cached);
     }
 }
 
+// Show the module's GitHub panel ('repos' or 'issues' in curriculum.js)
+// The listing itself - filters, sorting, "Load more" - is in github-listings.js
+function showGitHubData(moduleNumber) {
+    const ids = getModuleElementIds(moduleNumber);
 
-// ─────────────────────────────────────────────────────────────────
-// MODULE 4: Join the Community
-// ─────────────────────────────────────────────────────────────────
-
-async function generateModule4NextSteps() {
-    const button = document.getElementById('generate-next-steps-btn');
-    const aiResponse = document.getElementById('ai-response-4');
-
-    button.disabled = true;
-    button.textContent = 'Generating...';
-
-    aiResponse.style.display = 'block';
-    aiResponse.innerHTML = '<p class="loading">✨ Creating your personalized roadmap...</p>';
-
-    // Create personalized prompt based on all their previous answers
-    const prompt = `Create a personalized next steps guide for someone who:
-- Is interested in ${userProgress.interest}
-- Has ${userProgress.skillLevel} skill level
-- Has ${userProgress.gitExperience} Git experience
-- Just learned the basics of open source contribution
-
-Provide:
-1. Recommended projects to contribute to (specific names if possible)
-2. Skills to learn next for ${userProgress.interest}
-3. Communities to join
-4. Resources for continued learning
-
-Be encouraging and specific. 300-350 words.`;
-
-    try {
-        const content = await callGeminiAPI(prompt);
-        aiResponse.innerHTML = `<div style="white-space: pre-wrap;">${content}</div>`;
-
-        button.textContent = '✅ Roadmap Generated!';
-
-    } catch (error) {
-        aiResponse.innerHTML = `
-            <p style="color: #DC2626;">❌ Error generating roadmap.</p>
-            <p style="font-size: 14px; color: #6B7280;">Error: ${error.message}</p>
-        `;
-        button.disabled = false;
-        button.textContent = 'Try Again';
-    }
+    document.getElementById(ids.githubData).style.display = 'block';
+    startGitHubListing(moduleNumber);
 }
 
 
@@ -623,296 +712,139 @@ Be encouraging and specific. 300-350 words.`;
     SECTION 7: QUIZ VALIDATION
     ═══════════════════════════════════════════════════════════════
 
-    Each module has a quiz. User must answer correctly to proceed.
+    Each module has a quiz with a few random questions (quiz-engine.js).
+    User must reach the pass threshold to proceed.
+    Every attempt is saved, so instructors can see where students struggle.
 */
 
-// Check quiz answer
-function checkQuiz(moduleNumber, correctAnswer) {
-    // Get selected answer
-    const selected = document.querySelector(`input[name="quiz-${moduleNumber}"]:checked`);
+// Check the answers to a module's quiz
+function checkQuiz(moduleNumber) {
+    const grade = gradeQuiz(moduleNumber);
 
-    if (!selected) {
-        alert('Please select an answer!');
+    if (!grade) {
+        alert('Please answer every question!');
         return;
     }
 
-    const userAnswer = selected.value;
-    const feedback = document.getElementById(`quiz-feedback-${moduleNumber}`);
-    const nextButton = document.getElementById(`next-module-${moduleNumber}`);
-
-    if (userAnswer === correctAnswer) {
-        // Correct!
-        feedback.textContent = '✅ Correct! You can now proceed to the next module.';
-        feedback.className = 'quiz-feedback correct';
-        feedback.style.display = 'block';
+    showQuizResults(moduleNumber, grade);
+    recordQuizAttempt(moduleNumber, grade);
 
-        // Enable next button
-        nextButton.disabled = false;
-    } else {
-        // Wrong
-        feedback.textContent = '❌ Not quite. Try again!';
-        feedback.className = 'quiz-feedback incorrect';
-        feedback.style.display = 'block';
+    // After checking, they can ask for a new set of questions
+    document.getElementById(`retry-quiz-${moduleNumber}`).style.display = 'inline-block';
 
-        // Keep next button disabled
-        nextButton.disabled = true;
+    // Unlock the next module (once passed, it stays unlocked)
+    const nextButton = document.getElementById(`next-module-${moduleNumber}`);
+    if (nextButton) {
+        nextButton.disabled = !hasPassedQuiz(moduleNumber);
     }
 }
 
+// Save the attempt to userProgress.quizAttempts
+function recordQuizAttempt(moduleNumber, grade) {
+    // Progress saved before quizzes were tracked won't have this yet
+    if (!userProgress.quizAttempts) {
+        userProgress.quizAttempts = {};
+    }
+    if (!userProgress.quizAttempts[moduleNumber]) {
+        userProgress.quizAttempts[moduleNumber] = [];
+    }
 
-/*
-    ═══════════════════════════════════════════════════════════════
-    SECTION 8: PR SUBMISSION (THE BIG MOMENT!)
-    ═══════════════════════════════════════════════════════════════
-
-    This is where students submit their first REAL Pull Request!
-*/
+    userProgress.quizAttempts[moduleNumber].push({
+        date: new Date().toISOString(),
+        score: grade.score,
+        total: grade.total,
+        passed: grade.passed,
+        // Per-question results: which questions were missed, and with what answer
+        questions: grade.results.map(result => ({
+            id: result.question.id,
+            answer: result.answer,
+            correct: result.correct
+        }))
+    });
 
-// Helper function to sleep/wait
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    saveProgress();
 }
 
-// Update status message during PR submission
-function updatePRStatus(message) {
-    const statusDiv = document.getElementById('pr-status');
-    const statusText = document.getElementById('status-text');
-
-    statusDiv.style.display = 'block';
-    statusText.textContent = message;
-}
+/*
+    QUESTIONS ABOUT THE LESSON:
+    Asks the AI for a few quiz questions about the lesson it wrote for
+    this module (quiz-engine.js checks them). If the AI fails or sends
+    nonsense, the normal quiz simply stays as it is.
+*/
 
-// Submit the actual Pull Request!
-async function submitPullRequest() {
-    // Get form values
-    const name = document.getElementById('student-name').value.trim();
-    const githubUsername = document.getElementById('github-username').value.trim();
+// Show the "Add Questions About My Lesson" button after a lesson is generated
+function offerLessonQuizQuestions(moduleNumber) {
+    const button = document.getElementById(`lesson-quiz-${moduleNumber}`);
+    if (!button) return;  // This module's quiz doesn't use AI questions
 
-    // Get GitHub token from stored progress (saved from home setup)
-    const token = userProgress.githubToken;
+    button.style.display = 'inline-block';
+    button.disabled = false;
+    document.getElementById(`lesson-quiz-status-${moduleNumber}`).style.display = 'none';
 
-    // Validate inputs
-    if (!name || !githubUsername) {
-        alert('Please fill in all fields!');
-        return;
+    // Questions about an OLD lesson don't make sense anymore
+    if (generatedQuizQuestions[moduleNumber]) {
+        delete generatedQuizQuestions[moduleNumber];
+        renderQuiz(moduleNumber);
     }
+}
 
-    // Validate token exists
-    if (!token) {
-        alert('GitHub token not found! Please go back to the Home page and enter your GitHub token.');
+async function addLessonQuizQuestions(moduleNumber) {
+    const quizDef = getCourseModule(moduleNumber).quiz;
+    const ids = getModuleElementIds(moduleNumber);
+    const button = document.getElementById(`lesson-quiz-${moduleNumber}`);
+    const status = document.getElementById(`lesson-quiz-status-${moduleNumber}`);
+
+    // The lesson exactly as the student sees it (text only, no HTML)
+    const lesson = document.querySelector(`#${ids.aiResponse} .markdown-body`);
+    const lessonText = lesson ? lesson.textContent.trim() : '';
+    if (!lessonText) {
+        alert('Generate your personalized content first!');
         return;
     }
 
-    // Disable submit button
-    const submitButton = document.getElementById('submit-pr-btn');
-    submitButton.disabled = true;
-    submitButton.textContent = 'Submitting...';
-
-    // YOUR repository info
-    const YOUR_USERNAME = 'AnaPcode';
-    const YOUR_REPO = 'Learning-Platform-Project-for-Open-Source-Hackfest';
+    const count = getAIQuestionCount(quizDef);
+    button.disabled = true;
+    status.textContent = '✨ Writing questions about your lesson...';
+    status.style.display = 'block';
 
+    let questions = [];
     try {
-        // Step 1: Fork the repository
-        updatePRStatus('🔄 Step 1/6: Forking repository...');
-
-        const forkResponse = await fetch(`https://api.github.com/repos/${YOUR_USERNAME}/${YOUR_REPO}/forks`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`,
-                'Accept': 'application/vnd.github.v3+json'
-            }
-        });
-
-        // Check if fork was successful
-        if (!forkResponse.ok && forkResponse.status !== 409) {
-            const errorData = await forkResponse.json();
-            console.error('Fork failed:', errorData);
-            throw new Error(`Failed to fork repository: ${errorData.message || forkResponse.status}. Make sure your token has 'public_repo' permission.`);
-        }
-
-        // If fork was created (201) or already exists (409), get fork details
-        let forkData;
-        if (forkResponse.status === 201) {
-            forkData = await forkResponse.json();
-            console.log('Fork created successfully:', forkData.full_name);
-        } else if (forkResponse.status === 409) {
-            console.log('Fork already exists, continuing...');
-        }
-
-        // Step 2: Wait for fork to complete (GitHub needs time to create the fork)
-        updatePRStatus('⏳ Step 2/6: Waiting for fork to complete...');
-        await sleep(8000);  // Wait 8 seconds (increased from 5 for reliability)
-
-        // Step 3: Check if user already completed (check main repo, not their fork)
-        updatePRStatus('📖 Step 3/6: Checking if you already completed...');
-
-        const mainRepoCheck = await fetch(
-            `https://api.github.com/repos/${YOUR_USERNAME}/${YOUR_REPO}/contents/CONTRIBUTORS.md`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            }
-        );
-
-        if (mainRepoCheck.ok) {
-            const mainRepoData = await mainRepoCheck.json();
-            const mainRepoContent = atob(mainRepoData.content);
-
-            // Check if user already exists in the MAIN repo
-            if (mainRepoContent.includes(`@${githubUsername}`)) {
-                throw new Error(`You've already completed this course! Your name is already in CONTRIBUTORS.md. Check it out: https://github.com/${YOUR_USERNAME}/${YOUR_REPO}/blob/main/CONTRIBUTORS.md 🎉`);
-            }
-        }
-
-        // Step 4: Get CONTRIBUTORS.md from their fork
-        updatePRStatus('📖 Step 4/6: Reading CONTRIBUTORS.md from your fork...');
-
-        const fileResponse = await fetch(
-            `https://api.github.com/repos/${githubUsername}/${YOUR_REPO}/contents/CONTRIBUTORS.md`,
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            }
-        );
-
-        if (!fileResponse.ok) {
-            const errorData = await fileResponse.json();
-            console.error('Failed to read CONTRIBUTORS.md from fork:', errorData);
-            console.error('Attempted URL:', `https://api.github.com/repos/${githubUsername}/${YOUR_REPO}/contents/CONTRIBUTORS.md`);
-
-            // Provide helpful error message
-            if (fileResponse.status === 404) {
-                throw new Error(`Fork not found at ${githubUsername}/${YOUR_REPO}. The fork might still be creating. Please wait 30 seconds and try again, or check https://github.com/${githubUsername}/${YOUR_REPO}`);
-            } else {
-                throw new Error(`Could not read CONTRIBUTORS.md from your fork (Status: ${fileResponse.status}). Error: ${errorData.message || 'Unknown error'}`);
-            }
-        }
-
-        const fileData = await fileResponse.json();
-
-        // Step 5: Add student's name
-        updatePRStatus('✏️ Step 5/6: Adding your name to the file...');
-
-        // Decode base64 content from their fork
-        const currentContent = atob(fileData.content);
-
-        // Create new entry
-        const newEntry = `- [@${githubUsername}](https://github.com/${githubUsername}) - ${name} - ${new Date().toLocaleDateString()}`;
-        const updatedContent = currentContent.trim() + '\n' + newEntry + '\n';
-
-        // Step 5: Commit the change
-        updatePRStatus('💾 Step 5/6: Committing changes...');
-
-        const commitResponse = await fetch(
-            `https://api.github.com/repos/${githubUsername}/${YOUR_REPO}/contents/CONTRIBUTORS.md`,
-            {
-                method: 'PUT',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    message: `Add ${name} to contributors`,
-                    content: btoa(updatedContent),  // Encode to base64
-                    sha: fileData.sha
-                })
-            }
-        );
-
-        if (!commitResponse.ok) {
-            throw new Error('Failed to commit changes');
-        }
-
-        // Step 6: Create Pull Request
-        updatePRStatus('🚀 Step 6/6: Creating Pull Request...');
-
-        const prResponse = await fetch(
-            `https://api.github.com/repos/${YOUR_USERNAME}/${YOUR_REPO}/pulls`,
-            {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    title: `Add ${name} to contributors`,
-                    head: `${githubUsername}:main`,
-                    base: 'main',
-                    body: `## 🎉 Course Completion!\n\n**Name:** ${name}\n**GitHub:** @${githubUsername}\n\nI completed the Open Source Learning Platform course and learned how to contribute to open source projects!`
-                })
-            }
-        );
-
-        if (!prResponse.ok) {
-            const errorData = await prResponse.json();
-            throw new Error(errorData.message || 'Failed to create Pull Request');
-        }
-
-        const prData = await prResponse.json();
+        const answer = await callGeminiAPI(buildQuizQuestionPrompt(lessonText, userProgress, count), { json: true });
+        questions = parseGeneratedQuizQuestions(answer, moduleNumber, count);
+    } catch (error) {
+        // Already logged by callGeminiAPI - fall through to the normal quiz
+    }
 
-        // SUCCESS! 🎉
-        showSuccessMessage(name, prData.html_url);
+    if (questions.length === 0) {
+        status.textContent = '⚠️ Couldn\'t write questions about your lesson this time - the regular quiz is still here.';
+        button.disabled = false;
+        return;
+    }
 
-    } catch (error) {
-        console.error('Error submitting PR:', error);
+    generatedQuizQuestions[moduleNumber] = questions;
+    renderQuiz(moduleNumber);
 
-        // Show error message
-        document.getElementById('pr-status').style.display = 'none';
-        alert(`❌ Error: ${error.message}\n\nPlease check:\n• Your GitHub token has "public_repo" permission\n• Your token hasn't expired\n• Your GitHub username is correct\n• You have internet connection`);
+    status.textContent = `✅ Added ${questions.length} question${questions.length === 1 ? '' : 's'} about your lesson!`;
+    button.style.display = 'none';
+    document.getElementById(`retry-quiz-${moduleNumber}`).style.display = 'none';
+}
 
-        // Re-enable button
-        submitButton.disabled = false;
-        submitButton.textContent = '🚀 Submit My First PR!';
-    }
+// Has the student passed this module's quiz at least once?
+function hasPassedQuiz(moduleNumber) {
+    const attempts = (userProgress.quizAttempts || {})[moduleNumber] || [];
+    return attempts.some(attempt => attempt.passed);
 }
 
-// Show success celebration!
-function showSuccessMessage(name, prUrl) {
-    const completionArea = document.getElementById('completion-area');
-
-    completionArea.innerHTML = `
-        <div class="success-message">
-            <h1>🎉 YOU DID IT, ${name.toUpperCase()}!</h1>
-            <h2>You just submitted your first Pull Request!</h2>
-
-            <div class="pr-link">
-                <p><strong>View your PR:</strong></p>
-                <a href="${prUrl}" target="_blank">${prUrl}</a>
-            </div>
-
-            <div class="what-happened">
-                <h3>What You Just Did:</h3>
-                <ul>
-                    <li>✅ Forked a repository to your GitHub account</li>
-                    <li>✅ Made changes to a file (CONTRIBUTORS.md)</li>
-                    <li>✅ Committed your changes with a message</li>
-                    <li>✅ Submitted a Pull Request</li>
-                    <li>✅ This now appears on YOUR GitHub profile!</li>
-                </ul>
-            </div>
-
-            <div class="next-steps">
-                <h3>What's Next?</h3>
-                <ul>
-                    <li>Check back on your PR - it might get merged!</li>
-                    <li>Find a project you're interested in</li>
-                    <li>Look for "good first issue" labels</li>
-                    <li>Use the same process you just learned!</li>
-                    <li>Welcome to the open source community! 🚀</li>
-                </ul>
-            </div>
-        </div>
-    `;
 
-    // Hide status and form
-    document.getElementById('pr-status').style.display = 'none';
-    document.querySelector('.pr-submission-form').style.display = 'none';
-}
+/*
+    ═══════════════════════════════════════════════════════════════
+    SECTION 8: PR SUBMISSION (THE BIG MOMENT!)
+    ═══════════════════════════════════════════════════════════════
+
+    This is where students submit their first REAL Pull Request!
+    It has its own file: pr-submission.js (the steps are saved as they
+    finish, so a failed or interrupted submission can be resumed).
+*/
 
 
 /*
@@ -928,14 +860,28 @@ function showSuccessMessage(name, prUrl) {
 document.addEventListener('DOMContentLoaded', function() {
     console.log('🚀 Open Source Learning Platform initialized!');
 
+    // Build the sidebar and module pages from curriculum.js
+    renderCourse();
+
     // Load saved progress
     loadProgress();
 
-    // Show the appropriate section based on saved progress
+    // The course may have fewer modules than when progress was saved
+    if (currentModule > getModuleCount()) {
+        currentModule = getModuleCount();
+    }
+
+    // A link to a module (index.html#/module/3)? Start there if it's
+    // unlocked - otherwise where the saved progress says (router.js)
+    currentModule = startRouter();
+    userProgress.currentModule = currentModule;
+
+    // Show the appropriate section
     if (currentModule === 0) {
         showSection('home-setup');
     } else {
         showSection(`module-${currentModule}`);
+        restoreModuleContent(currentModule);
     }
 
     // ─────────────────────────────────────────────────────────────
@@ -959,111 +905,164 @@ document.addEventListener('DOMContentLoaded', function() {
 
     // Listen for API key input changes
     document.getElementById('gemini-api-key').addEventListener('input', checkSetupComplete);
-    document.getElementById('github-token').addEventListener('input', checkSetupComplete);
+    document.getElementById('github-token').addEventListener('input', function() {
+        scheduleGitHubTokenCheck();  // Ask GitHub if the token works (github-auth.js)
+        checkSetupComplete();
+    });
 
-    // Start learning button
-    document.getElementById('start-learning-btn').addEventListener('click', startLearning);
+    // "Sign in with GitHub" (github-auth.js) fills in the token for you
+    document.getElementById('github-signin-btn').addEventListener('click', signInWithGitHub);
+    document.getElementById('github-signin-cancel').addEventListener('click', cancelGitHubSignIn);
 
+    // Switching AI provider changes which fields are required
+    document.getElementById('llm-provider').addEventListener('change', updateProviderFields);
+    updateProviderFields();
 
-    // ─────────────────────────────────────────────────────────────
-    // MODULE 1 EVENT LISTENERS
-    // ─────────────────────────────────────────────────────────────
+    // Still on the setup page with a saved token? Check it's still good
+    if (currentModule === 0 && credentials.githubToken) {
+        checkGitHubToken(credentials.githubToken);
+    }
 
-    // Enable button when interest is selected
-    document.getElementById('interest-select').addEventListener('change', function() {
-        document.getElementById('generate-personalized-btn').disabled = !this.value;
+    // Where to keep the keys: show the saved choice
+    document.querySelectorAll('input[name="key-storage"]').forEach(radio => {
+        radio.checked = radio.value === getKeyStorageMode();
+        radio.addEventListener('change', updateKeyStorageFields);
     });
+    document.getElementById('key-passphrase').addEventListener('input', checkSetupComplete);
+    updateKeyStorageFields();
 
-    // Generate personalized content
-    document.getElementById('generate-personalized-btn').addEventListener('click', generateModule1Content);
-
-    // Quiz
-    document.getElementById('check-quiz-1').addEventListener('click', function() {
-        checkQuiz(1, 'b');  // Correct answer is 'b'
+    // Learner profiles and export/import (profiles.js)
+    renderProfileSwitcher();
+    document.getElementById('profile-select').addEventListener('change', function() {
+        switchProfile(this.value);
     });
-
-    // Next module button
-    document.getElementById('next-module-1').addEventListener('click', function() {
-        completeModule(1);
+    document.getElementById('new-profile-btn').addEventListener('click', addProfileFromPrompt);
+    document.getElementById('rename-profile-btn').addEventListener('click', renameActiveProfileFromPrompt);
+    document.getElementById('export-progress-btn').addEventListener('click', exportProgress);
+    document.getElementById('import-progress-btn').addEventListener('click', function() {
+        document.getElementById('import-progress-file').click();  // Opens the file picker
     });
-
-
-    // ─────────────────────────────────────────────────────────────
-    // MODULE 2 EVENT LISTENERS
-    // ─────────────────────────────────────────────────────────────
-
-    // Enable button when skill level is selected
-    document.getElementById('skill-select').addEventListener('change', function() {
-        document.getElementById('generate-skill-advice-btn').disabled = !this.value;
+    document.getElementById('import-progress-file').addEventListener('change', function() {
+        if (this.files.length > 0) {
+            importProgressFile(this.files[0]);
+            this.value = '';  // So choosing the same file again still works
+        }
     });
 
-    // Generate skill-based advice
-    document.getElementById('generate-skill-advice-btn').addEventListener('click', generateModule2Content);
-
-    // Quiz
-    document.getElementById('check-quiz-2').addEventListener('click', function() {
-        checkQuiz(2, 'b');  // Correct answer is 'b'
+    // Locked keys and "Forget my keys" (credential-store.js)
+    document.getElementById('unlock-keys-btn').addEventListener('click', unlockSavedKeys);
+    document.getElementById('unlock-passphrase').addEventListener('keydown', function(event) {
+        if (event.key === 'Enter') unlockSavedKeys();
     });
+    document.getElementById('forget-keys-banner-btn').addEventListener('click', forgetMyKeys);
 
-    // Navigation buttons
-    document.getElementById('prev-module-2').addEventListener('click', function() {
-        goToModule(1);
+    // "Your progress couldn't be read" notice (progress-schema.js)
+    document.getElementById('progress-recovery-dismiss').addEventListener('click', function() {
+        document.getElementById('progress-recovery-banner').style.display = 'none';
     });
+    document.getElementById('forget-keys-btn').addEventListener('click', forgetMyKeys);
 
-    document.getElementById('next-module-2').addEventListener('click', function() {
-        completeModule(2);
-    });
+    // Start learning button
+    document.getElementById('start-learning-btn').addEventListener('click', startLearning);
 
 
     // ─────────────────────────────────────────────────────────────
-    // MODULE 3 EVENT LISTENERS
+    // MODULE EVENT LISTENERS
     // ─────────────────────────────────────────────────────────────
+    // Same wiring for every module in curriculum.js - only the parts
+    // a module actually has get listeners.
+
+    COURSE.modules.forEach((moduleDef, index) => {
+        const moduleNumber = index + 1;
+        const ids = getModuleElementIds(moduleNumber);
+
+        // Enable the generate button when an option is selected
+        if (moduleDef.personalization) {
+            document.getElementById(ids.select).addEventListener('change', function() {
+                document.getElementById(ids.generateButton).disabled = !this.value;
+            });
+        }
 
-    // Enable button when Git experience is selected
-    document.getElementById('git-select').addEventListener('change', function() {
-        document.getElementById('generate-git-help-btn').disabled = !this.value;
-    });
-
-    // Generate Git workflow guide
-    document.getElementById('generate-git-help-btn').addEventListener('click', generateModule3Content);
-
-    // Quiz
-    document.getElementById('check-quiz-3').addEventListener('click', function() {
-        checkQuiz(3, 'b');  // Correct answer is 'b'
-    });
+        // Generate personalized content
+        if (moduleDef.ai) {
+            document.getElementById(ids.generateButton).addEventListener('click', function() {
+                generateModuleContent(moduleNumber);
+            });
 
-    // Navigation buttons
-    document.getElementById('prev-module-3').addEventListener('click', function() {
-        goToModule(2);
-    });
+            // Skip the saved lesson and ask the AI for a new one
+            document.getElementById(ids.regenerateButton).addEventListener('click', function() {
+                generateModuleContent(moduleNumber, { regenerate: true });
+            });
+        }
 
-    document.getElementById('next-module-3').addEventListener('click', function() {
-        completeModule(3);
-    });
+        // GitHub listing: filters, sorting and "Load more" (github-listings.js)
+        if (moduleDef.github) {
+            setupGitHubListing(moduleNumber);
+        }
 
+        // Quiz
+        if (moduleDef.quiz) {
+            document.getElementById(`check-quiz-${moduleNumber}`).addEventListener('click', function() {
+                checkQuiz(moduleNumber);
+            });
+
+            // New random questions
+            document.getElementById(`retry-quiz-${moduleNumber}`).addEventListener('click', function() {
+                renderQuiz(moduleNumber);
+                this.style.display = 'none';
+            });
+
+            // Questions about the AI lesson (only exists for modules with AI content)
+            const lessonQuizButton = document.getElementById(`lesson-quiz-${moduleNumber}`);
+            if (lessonQuizButton) {
+                lessonQuizButton.addEventListener('click', function() {
+                    addLessonQuizQuestions(moduleNumber);
+                });
+            }
+        }
 
-    // ─────────────────────────────────────────────────────────────
-    // MODULE 4 EVENT LISTENERS
-    // ─────────────────────────────────────────────────────────────
+        // Navigation buttons
+        if (moduleNumber > 1) {
+            document.getElementById(`prev-module-${moduleNumber}`).addEventListener('click', function() {
+                goToModule(moduleNumber - 1);
+            });
+        }
 
-    // Generate next steps
-    document.getElementById('generate-next-steps-btn').addEventListener('click', generateModule4NextSteps);
+        if (moduleNumber < getModuleCount()) {
+            const nextButton = document.getElementById(`next-module-${moduleNumber}`);
 
-    // PR Submission
-    document.getElementById('submit-pr-btn').addEventListener('click', submitPullRequest);
+            nextButton.addEventListener('click', function() {
+                completeModule(moduleNumber);
+            });
 
-    // Complete Course button
-    document.getElementById('complete-course-btn').addEventListener('click', function() {
-        // Mark Module 4 as complete without navigating away
-        if (!userProgress.completedModules.includes(4)) {
-            userProgress.completedModules.push(4);
+            // Quiz already passed on an earlier visit? No need to retake it
+            if (moduleDef.quiz && hasPassedQuiz(moduleNumber)) {
+                nextButton.disabled = false;
+            }
         }
-        saveProgress();
-        updateSidebar();
+    });
 
-        alert('🎉 Congratulations! You have completed the Open Source Learning course! Welcome to the open source community!');
+    // Complete Course button (in the last module)
+    document.getElementById('complete-course-btn').addEventListener('click', function() {
+        completeModule(getModuleCount());
     });
 
+    // PR Submission (only exists if a module uses the 'pr-submission' widget)
+    const submitPRButton = document.getElementById('submit-pr-btn');
+    if (submitPRButton) {
+        submitPRButton.addEventListener('click', submitPullRequest);
+        document.getElementById('reset-pr-btn').addEventListener('click', resetPRSubmission);
+        document.getElementById('practice-mode').addEventListener('change', function() {
+            setPracticeMode(this.checked);
+        });
+
+        // Unfinished submission from an earlier visit? Show where it stopped
+        restorePRSubmission();
+
+        // Otherwise start with the username of the token's account
+        prefillGitHubUsername();
+    }
+
 
     // ─────────────────────────────────────────────────────────────
     // SIDEBAR NAVIGATION
@@ -1073,7 +1072,7 @@ document.addEventListener('DOMContentLoaded', function() {
     document.querySelectorAll('#module-list li').forEach((item, index) => {
         item.addEventListener('click', function() {
             // Don't allow clicking locked modules
-            if (this.classList.contains('locked')) {
+            if (!isModuleUnlocked(index)) {
                 alert('Complete the previous module first!');
                 return;
             }
@@ -1082,6 +1081,9 @@ document.addEventListener('DOMContentLoaded', function() {
             goToModule(index);
         });
     });
+
+    // The "⭐ Watchlist" button - and checking saved issues for changes (watchlist.js)
+    setupWatchlist();
 });
 
 
@@ -1101,8 +1103,9 @@ document.addEventListener('DOMContentLoaded', function() {
     6. Error handling - gracefully managing failures
 
     NEXT STEPS:
-    1. Update YOUR_USERNAME and YOUR_REPO in the submitPullRequest function
-    2. Create a CONTRIBUTORS.md file in your repository
+    1. Set your repository and course name in platform-config.js
+       (or add ?owner=...&repo=... to the link)
+    2. Create the contributors file (CONTRIBUTORS.md) in your repository
     3. Test with your own GitHub account
     4. Deploy to GitHub Pages
     5. Share with the world!
@@ -0,0 +1,170 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    GITHUB SIGN-IN HELPER - A Tiny Proxy for the OAuth Device Flow
+    ═══════════════════════════════════════════════════════════════
+
+    The "Sign in with GitHub" button (github-auth.js) needs two
+    requests to github.com/login/..., and browsers block those from
+    web pages (GitHub doesn't send CORS headers for them). This small
+    server sits in between: the page asks IT, it asks GitHub, and it
+    passes GitHub's answer back with the CORS headers added.
+
+    It stores nothing and logs no codes or tokens.
+
+    SETUP (once per cohort):
+    1. Create an OAuth App: https://github.com/settings/applications/new
+       (any homepage/callback URL works) and tick "Enable Device Flow"
+    2. Copy its Client ID (no client secret is needed for this flow)
+    3. Run (Node.js 18 or newer, nothing to install):
+
+       GITHUB_CLIENT_ID=Ov23li... ALLOWED_ORIGIN=https://you.github.io node tools/github-oauth-proxy.js
+
+    4. If it runs anywhere other than http://localhost:8787, set
+       githubOAuthProxyUrl in platform-config.js
+
+    SETTINGS (environment variables):
+    - GITHUB_CLIENT_ID   Your OAuth App's client ID (required)
+    - PORT               Port to listen on (default 8787)
+    - ALLOWED_ORIGIN     Only this site may use the helper, e.g.
+                         https://you.github.io (default:
+                         http://localhost:8000 - the platform
+                         served on your own computer)
+
+    WHY ONLY ONE SITE?
+    Any web page the student has open could otherwise start a sign-in
+    under YOUR OAuth App's name and show them a real GitHub code - a
+    ready-made phishing trick. So requests from any other site are
+    refused, not just left unreadable (which is all CORS does).
+
+    ENDPOINTS:
+    - POST /device/code    → a code for the student to type on GitHub
+    - POST /device/token   { device_code } → the token, once authorized
+*/
+
+const http = require('http');
+
+const CLIENT_ID = process.env.GITHUB_CLIENT_ID;
+const PORT = Number(process.env.PORT) || 8787;
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || 'http://localhost:8000';
+
+// Enough to fork and open Pull Requests on public repositories - nothing more
+const SCOPE = 'public_repo';
+
+// Requests bigger than this are refused (ours are a few dozen bytes)
+const MAX_BODY_BYTES = 4096;
+
+// Read a small JSON request body
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+
+        request.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY_BYTES) {
+                reject(new Error('Request body too large'));
+                request.destroy();
+            }
+        });
+
+        request.on('end', () => {
+            try {
+                resolve(body ? JSON.parse(body) : {});
+            } catch (error) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+
+        request.on('error', reject);
+    });
+}
+
+// Headers that let the course page read our answers
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function sendJson(response, status, data) {
+    response.writeHead(status, Object.assign({
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store'      // Never cache codes or tokens
+    }, CORS_HEADERS));
+    response.end(JSON.stringify(data));
+}
+
+// Pass a request on to github.com/login/... and return GitHub's JSON answer
+async function askGitHub(path, params) {
+    const githubResponse = await fetch(`https://github.com${path}`, {
+        method: 'POST',
+        headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+        body: JSON.stringify(Object.assign({ client_id: CLIENT_ID }, params))
+    });
+
+    return { status: githubResponse.status, data: await githubResponse.json() };
+}
+
+// The two things the page can ask for
+const ROUTES = {
+    '/device/code': () => askGitHub('/login/device/code', { scope: SCOPE }),
+
+    '/device/token': body => {
+        if (typeof body.device_code !== 'string' || !body.device_code) {
+            return { status: 400, data: { error: 'invalid_request', error_description: 'device_code is missing' } };
+        }
+
+        return askGitHub('/login/oauth/access_token', {
+            device_code: body.device_code,
+            grant_type: 'urn:ietf:params:oauth:grant-type:device_code'
+        });
+    }
+};
+
+const server = http.createServer(async (request, response) => {
+    // Browsers ask "may I?" (a CORS preflight) before the real request
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS);
+        response.end();
+        return;
+    }
+
+    // Browsers always say which site a request comes from (see WHY ONLY ONE SITE?)
+    if (request.headers.origin !== ALLOWED_ORIGIN) {
+        sendJson(response, 403, { error: 'forbidden_origin', error_description: `Only ${ALLOWED_ORIGIN} may use this sign-in helper (set ALLOWED_ORIGIN to change it).` });
+        return;
+    }
+
+    const route = ROUTES[request.url];
+    if (request.method !== 'POST' || !route) {
+        sendJson(response, 404, { error: 'not_found', error_description: 'Use POST /device/code or POST /device/token' });
+        return;
+    }
+
+    let body;
+    try {
+        body = await readJsonBody(request);
+    } catch (error) {
+        sendJson(response, 400, { error: 'invalid_request', error_description: error.message });
+        return;
+    }
+
+    try {
+        const result = await route(body);
+        sendJson(response, result.status, result.data);
+
+        // Log what happened - but never the codes or the token
+        console.log(`${request.url} → ${result.status}${result.data.error ? ` (${result.data.error})` : ''}`);
+    } catch (error) {
+        console.error(`${request.url} failed: ${error.message}`);
+        sendJson(response, 502, { error: 'proxy_error', error_description: 'The sign-in helper could not reach GitHub.' });
+    }
+});
+
+if (!CLIENT_ID) {
+    console.error('Please set GITHUB_CLIENT_ID to your OAuth App\'s client ID (see the top of this file).');
+    process.exit(1);
+}
+
+server.listen(PORT, () => {
+    console.log(`GitHub sign-in helper running on http://localhost:${PORT} (allowed site: ${ALLOWED_ORIGIN})`);
+});
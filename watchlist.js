@@ -0,0 +1,359 @@
+/*
+    ═══════════════════════════════════════════════════════════════
+    WATCHLIST - Keep an Eye on the Issues You Like
+    ═══════════════════════════════════════════════════════════════
+
+    Found an issue you'd like to work on, but not today? Press
+    "☆ Save" on it (displayIssues in github-api.js) and it goes on
+    your WATCHLIST (saved in userProgress.watchlist).
+
+    Every time you open the platform, the saved issues are checked
+    again, and anything that changed since you last looked is flagged:
+
+    - 🔒 It was closed (or 🔓 reopened)
+    - 👤 Someone was assigned to it
+    - 💬 It got new comments
+    - 🔀 A Pull Request was linked to it (someone may be working on it!)
+
+    The watchlist has its own page: the "⭐ Watchlist" button in the
+    sidebar (or index.html#/watchlist - see router.js).
+
+    KEY CONCEPTS:
+
+    1. "SEEN" vs "LATEST":
+       - Each saved issue keeps two snapshots: what it looked like
+         when you last looked (seen) and what GitHub says now (latest)
+       - The flags are just the differences between the two
+       - "✔️ Mark as seen" copies latest into seen - the flags go away
+
+    2. ETAGS THAT SURVIVE A RELOAD:
+       - github-client.js only remembers ETags until the page closes.
+         We save each issue's ETags WITH the watchlist and hand them
+         to githubFetch() as options.etag
+       - An unchanged issue is answered "304 Not Modified" - which
+         doesn't count against GitHub's rate limit, however many
+         issues you watch
+*/
+
+const WATCHLIST_SECTION_ID = 'watchlist-section';
+
+// The check that's running right now (so two clicks don't check twice)
+let watchlistRefresh = null;
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    THE SAVED LIST
+    ═══════════════════════════════════════════════════════════════
+
+    Each entry in userProgress.watchlist:
+    {
+        repo: 'owner/name', number: 12, title, url, savedAt,
+        seen:   { state, assignees, comments, linkedPRs } - or null until the first check
+        latest: { state, assignees, comments, linkedPRs } - or null until the first check
+        etags: { issue, timeline },
+        checkedAt: When it was last checked (or null)
+        error: Why the last check failed (or null)
+    }
+*/
+
+function findWatchedIssue(repoName, issueNumber) {
+    return userProgress.watchlist.find(entry => entry.repo === repoName && entry.number === issueNumber);
+}
+
+// Save an issue from a listing (or remove it, if it's already saved)
+function toggleWatchedIssue(issue) {
+    const watched = findWatchedIssue(issue.repo, issue.number);
+
+    if (watched) {
+        removeWatchedIssue(watched);
+        return false;
+    }
+
+    const entry = {
+        repo: issue.repo,
+        number: issue.number,
+        title: issue.title,
+        url: issue.url,
+        savedAt: new Date().toISOString(),
+        seen: null,
+        latest: null,
+        etags: {},
+        checkedAt: null,
+        error: null
+    };
+    userProgress.watchlist.push(entry);
+    saveProgress();
+    updateWatchlistBadge();
+
+    // The first check is what later checks are compared with
+    checkWatchedIssue(entry, credentials.githubToken).then(() => {
+        saveProgress();
+        renderWatchlist();
+    });
+    return true;
+}
+
+function removeWatchedIssue(entry) {
+    userProgress.watchlist = userProgress.watchlist.filter(other => other !== entry);
+    saveProgress();
+    renderWatchlist();
+}
+
+// "✔️ Mark as seen": what GitHub says now becomes the new starting point
+function markWatchedIssueSeen(entry) {
+    entry.seen = entry.latest;
+    saveProgress();
+    renderWatchlist();
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    CHECKING FOR CHANGES
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// How many different Pull Requests mention this issue (see hasOpenLinkedPullRequest)
+function countLinkedPullRequests(events) {
+    const pulls = new Set();
+
+    (events || []).forEach(event => {
+        if (event.event === 'cross-referenced' && event.source && event.source.issue && event.source.issue.pull_request) {
+            pulls.add(event.source.issue.html_url);
+        }
+    });
+
+    return pulls.size;
+}
+
+/*
+    Ask GitHub about one saved issue and update its "latest" snapshot.
+    A failed check doesn't throw - it's saved in entry.error and the
+    old snapshot stays.
+*/
+async function checkWatchedIssue(entry, token) {
+    const path = `/repos/${entry.repo}/issues/${entry.number}`;
+    const etags = entry.latest ? entry.etags : {};  // No snapshot yet = nothing to compare with
+
+    try {
+        const [issue, timeline] = await Promise.all([
+            githubFetch(path, { token: token, etag: etags.issue }),
+            githubFetch(`${path}/timeline?per_page=100`, { token: token, etag: etags.timeline })
+        ]);
+
+        // data = null: unchanged since our saved snapshot
+        const latest = Object.assign({}, entry.latest);
+
+        if (issue.data) {
+            entry.title = issue.data.title;
+            latest.state = issue.data.state;
+            latest.assignees = (issue.data.assignees || []).map(user => user.login);
+            latest.comments = issue.data.comments;
+        }
+        if (timeline.data) {
+            latest.linkedPRs = countLinkedPullRequests(timeline.data);
+        }
+
+        entry.latest = latest;
+        entry.etags = {
+            issue: issue.headers.get('ETag') || etags.issue,
+            timeline: timeline.headers.get('ETag') || etags.timeline
+        };
+        entry.seen = entry.seen || latest;
+        entry.error = null;
+    } catch (error) {
+        console.warn(`⚠️ Couldn't check ${entry.repo}#${entry.number}:`, error.message);
+        entry.error = getGitHubErrorHelp(error);
+    }
+
+    entry.checkedAt = new Date().toISOString();
+}
+
+/*
+    Check every saved issue (all at the same time) and save the answers.
+    Called when the page loads and by the "🔄 Check now" button.
+*/
+function refreshWatchlist() {
+    if (!watchlistRefresh) {
+        const status = document.getElementById('watchlist-status');
+        status.textContent = 'Checking your saved issues...';
+
+        watchlistRefresh = Promise.all(userProgress.watchlist.map(entry =>
+            checkWatchedIssue(entry, credentials.githubToken)
+        )).then(() => {
+            watchlistRefresh = null;
+            status.textContent = `Last checked: ${new Date().toLocaleTimeString()}`;
+            saveProgress();
+            renderWatchlist();
+        });
+    }
+
+    return watchlistRefresh;
+}
+
+/*
+    What changed between "seen" and "latest"?
+    RETURNS: Sentences for the student (empty if nothing changed)
+*/
+function getWatchedIssueChanges(entry) {
+    const seen = entry.seen;
+    const latest = entry.latest;
+    if (!seen || !latest) return [];
+
+    const changes = [];
+
+    if (seen.state !== latest.state) {
+        changes.push(latest.state === 'closed' ? '🔒 It was closed' : '🔓 It was reopened');
+    }
+
+    const newAssignees = latest.assignees.filter(login => !seen.assignees.includes(login));
+    if (newAssignees.length > 0) {
+        changes.push(`👤 Assigned to ${newAssignees.join(', ')}`);
+    }
+
+    const newComments = latest.comments - seen.comments;
+    if (newComments > 0) {
+        changes.push(`💬 ${newComments} new comment${newComments === 1 ? '' : 's'}`);
+    }
+
+    if (latest.linkedPRs > seen.linkedPRs) {
+        changes.push('🔀 A Pull Request was linked to it - someone may be working on it');
+    }
+
+    return changes;
+}
+
+
+/*
+    ═══════════════════════════════════════════════════════════════
+    ON THE PAGE
+    ═══════════════════════════════════════════════════════════════
+*/
+
+// "⭐ Watchlist (2)" - the number is how many saved issues changed
+function updateWatchlistBadge() {
+    const changed = userProgress.watchlist.filter(entry => getWatchedIssueChanges(entry).length > 0).length;
+    document.getElementById('watchlist-count').textContent = changed > 0 ? `(${changed})` : '';
+}
+
+function renderWatchedIssue(entry) {
+    const changes = getWatchedIssueChanges(entry);
+    const latest = entry.latest;
+
+    let status = '<p class="issue-date">Not checked yet...</p>';
+    if (latest) {
+        const assigned = latest.assignees.length > 0 ? ` · assigned to ${escapeHTML(latest.assignees.join(', '))}` : '';
+        status = `<p class="issue-date">${latest.state === 'closed' ? 'Closed' : 'Open'}${assigned} · ${latest.comments} comment${latest.comments === 1 ? '' : 's'} · saved ${escapeHTML(new Date(entry.savedAt).toLocaleDateString())}</p>`;
+    }
+
+    return `
+        <div class="github-item watchlist-item${changes.length > 0 ? ' watchlist-changed' : ''}">
+            <h4>${renderInlineMarkdown(entry.title)}</h4>
+            <p class="issue-repo">Repository: ${escapeHTML(entry.repo)} · #${entry.number}</p>
+            ${status}
+            ${changes.length > 0 ? `
+                <div class="watchlist-changes">
+                    <strong>Since you last looked:</strong>
+                    <ul>${changes.map(change => `<li>${escapeHTML(change)}</li>`).join('')}</ul>
+                </div>
+            ` : ''}
+            ${entry.error ? `<p class="github-error-note">⚠️ ${escapeHTML(entry.error)}</p>` : ''}
+            <a href="${escapeHTML(entry.url)}" target="_blank">View Issue</a>
+        </div>
+    `;
+}
+
+// Draw the watchlist page (and the sidebar count)
+function renderWatchlist() {
+    const container = document.getElementById('watchlist-items');
+    updateWatchlistBadge();
+
+    if (userProgress.watchlist.length === 0) {
+        container.innerHTML = '<p>No saved issues yet. Press "☆ Save" on a suggested good first issue to watch it here.</p>';
+        return;
+    }
+
+    const entries = userProgress.watchlist;
+    container.innerHTML = sanitizeHTML(entries.map(renderWatchedIssue).join(''));
+
+    // Buttons are added with the DOM - sanitizeHTML() would remove them
+    container.querySelectorAll('.github-item').forEach((card, index) => {
+        const entry = entries[index];
+
+        if (getWatchedIssueChanges(entry).length > 0) {
+            const seenButton = document.createElement('button');
+            seenButton.className = 'secondary-btn';
+            seenButton.textContent = '✔️ Mark as seen';
+            seenButton.addEventListener('click', () => markWatchedIssueSeen(entry));
+            card.appendChild(seenButton);
+        }
+
+        const removeButton = document.createElement('button');
+        removeButton.className = 'secondary-btn';
+        removeButton.textContent = '🗑️ Remove';
+        removeButton.addEventListener('click', () => removeWatchedIssue(entry));
+        card.appendChild(removeButton);
+    });
+
+    // Same "🔍 Details" panel as in the listings (issue-detail.js)
+    addIssueDetailButtons(container, entries);
+}
+
+/*
+    Add a "☆ Save" button to every issue card displayIssues() drew.
+    (Example issues have no number - there's nothing to watch.)
+*/
+function addWatchlistButtons(container, issues) {
+    container.querySelectorAll('.github-item').forEach((card, index) => {
+        const issue = issues[index];
+        if (!issue || !issue.number) return;
+
+        const button = document.createElement('button');
+        button.className = 'secondary-btn watchlist-save-btn';
+        const showState = saved => {
+            button.textContent = saved ? '★ Saved' : '☆ Save';
+        };
+        showState(Boolean(findWatchedIssue(issue.repo, issue.number)));
+
+        button.addEventListener('click', () => showState(toggleWatchedIssue(issue)));
+        card.appendChild(button);
+    });
+}
+
+function isWatchlistShown() {
+    return document.getElementById(WATCHLIST_SECTION_ID).style.display === 'block';
+}
+
+// Show the watchlist page (the address is already #/watchlist - see router.js)
+function showWatchlist() {
+    showSection(WATCHLIST_SECTION_ID);
+    renderWatchlist();
+}
+
+// The sidebar button: give the page its address (so Back works), then show it
+function openWatchlist() {
+    if (window.location.hash !== WATCHLIST_ROUTE) {
+        history.pushState(null, '', WATCHLIST_ROUTE);
+    }
+    showWatchlist();
+}
+
+// Called once when the page loads (script.js)
+function setupWatchlist() {
+    document.getElementById('sidebar-watchlist').addEventListener('click', openWatchlist);
+    document.getElementById('watchlist-refresh-btn').addEventListener('click', refreshWatchlist);
+    document.getElementById('watchlist-back-btn').addEventListener('click', () => goToModule(currentModule));
+
+    // A link straight to the watchlist?
+    if (window.location.hash === WATCHLIST_ROUTE) {
+        showWatchlist();
+    } else {
+        renderWatchlist();
+    }
+
+    // A new visit: see what changed since last time
+    if (userProgress.watchlist.length > 0) {
+        refreshWatchlist();
+    }
+}